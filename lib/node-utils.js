@@ -197,6 +197,106 @@ module.exports = function(RED) {
     return sh.jpeg({ quality }).toBuffer();
   }
 
+  /**
+   * Checks whether a value is a plain object (not an array, Buffer or class instance)
+   * @param {*} value - The value to check
+   * @returns {boolean} True for object literals and Object.create(null) objects
+   */
+  utils.isPlainObject = function(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * Recursively merges plain objects from source into target.
+   * Nested plain objects are merged; arrays, Buffers and other values replace the target value.
+   * "__proto__" keys are skipped so message data can never reach a prototype.
+   * @param {object} target - Object to merge into (mutated)
+   * @param {object} source - Object to merge from
+   * @returns {object} The target object
+   */
+  utils.deepMerge = function(target, source) {
+    for (const key of Object.keys(source)) {
+      if (key === '__proto__') continue;
+      const value = source[key];
+      if (utils.isPlainObject(value)) {
+        if (!Object.prototype.hasOwnProperty.call(target, key) || !utils.isPlainObject(target[key])) {
+          target[key] = {};
+        }
+        utils.deepMerge(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Restores Buffers that went through JSON serialization ({ type: 'Buffer', data: [...] }),
+   * e.g. after being read back from a file-backed context store.
+   * Walks arrays and plain objects in place.
+   * @param {*} value - Deserialized value
+   * @returns {*} The value with Buffers revived
+   */
+  utils.reviveBuffers = function(value) {
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        value[i] = utils.reviveBuffers(value[i]);
+      }
+      return value;
+    }
+
+    if (!utils.isPlainObject(value)) {
+      return value;
+    }
+
+    if (value.type === 'Buffer' && Array.isArray(value.data) && Object.keys(value).length === 2) {
+      return Buffer.from(value.data);
+    }
+
+    for (const key of Object.keys(value)) {
+      value[key] = utils.reviveBuffers(value[key]);
+    }
+    return value;
+  }
+
+  /**
+   * JSON.stringify that stores Buffers as base64 ({ type: 'Buffer', base64 })
+   * instead of Node's default array of byte values, keeping images compact on disk.
+   * @param {*} value - Value to serialize
+   * @returns {string} JSON text
+   */
+  utils.stringifyWithBuffers = function(value) {
+    return JSON.stringify(value, function(key, serialized) {
+      const raw = this[key];
+      if (Buffer.isBuffer(raw)) {
+        return { type: 'Buffer', base64: raw.toString('base64') };
+      }
+      return serialized;
+    });
+  }
+
+  /**
+   * JSON.parse counterpart of stringifyWithBuffers. Also revives the default
+   * { type: 'Buffer', data: [...] } form.
+   * @param {string} text - JSON text
+   * @returns {*} Parsed value with Buffers revived
+   */
+  utils.parseWithBuffers = function(text) {
+    return JSON.parse(text, function(key, value) {
+      if (value && value.type === 'Buffer') {
+        if (typeof value.base64 === 'string') {
+          return Buffer.from(value.base64, 'base64');
+        }
+        if (Array.isArray(value.data)) {
+          return Buffer.from(value.data);
+        }
+      }
+      return value;
+    });
+  }
+
   /**
    * Standardized error handling for all nodes
    * @param {object} node - Node-RED node instance
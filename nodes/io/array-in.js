@@ -13,24 +13,106 @@ module.exports = function(RED) {
     // Store configuration with validation
     node.inputPath = config.inputPath || 'payload';
     node.inputPathType = config.inputPathType || 'msg';
+    // Tag mode marks one message with a position; split mode fans the array at
+    // the input path out into one message per element
+    node.mode = config.mode === 'split' ? 'split' : 'tag';
     
     // Dynamic position configuration
     node.arrayPositionType = config.arrayPositionType || 'num';
     node.arrayPositionValue = config.arrayPositionValue !== undefined ? config.arrayPositionValue : 0;
 
     // Set initial status
-    const statusText = node.arrayPositionType === 'num' 
-      ? `Position: ${node.arrayPositionValue}` 
-      : `Position: ${node.arrayPositionType}.${node.arrayPositionValue}`;
+    let statusText;
+    if (node.mode === 'split') {
+      statusText = 'Split mode';
+    } else {
+      statusText = node.arrayPositionType === 'num'
+        ? `Position: ${node.arrayPositionValue}`
+        : `Position: ${node.arrayPositionType}.${node.arrayPositionValue}`;
+    }
     node.status({ 
       fill: "blue", 
       shape: "dot", 
       text: statusText
     });
 
+    /**
+     * Reads the configured input path from msg, flow or global context
+     * @param {Object} msg - The incoming message
+     * @returns {*} The value found at the input path
+     */
+    function readInput(msg) {
+      if (node.inputPathType === 'msg') {
+        return RED.util.getMessageProperty(msg, node.inputPath);
+      } else if (node.inputPathType === 'flow') {
+        return node.context().flow.get(node.inputPath);
+      } else if (node.inputPathType === 'global') {
+        return node.context().global.get(node.inputPath);
+      }
+      return undefined;
+    }
+
+    function shouldMirrorPayload() {
+      const normalizedPath = typeof node.inputPath === 'string'
+        ? node.inputPath.trim()
+        : node.inputPath;
+      return node.inputPathType === 'msg' && normalizedPath === 'payload';
+    }
+
+    /**
+     * Emits one message per element of the input array, tagged with its
+     * position, the array length and a batch id shared by all elements
+     * @param {Object} msg - The incoming message
+     * @param {function} send - The send callback
+     */
+    function splitArray(msg, send) {
+      const arrayData = readInput(msg);
+
+      if (!Array.isArray(arrayData)) {
+        node.warn(`Split mode expects an array at ${node.inputPathType}.${node.inputPath}. Received: ${typeof arrayData}`);
+        node.status({ fill: "red", shape: "ring", text: "Invalid input: not an array" });
+        return;
+      }
+
+      if (arrayData.length === 0) {
+        node.warn('Input array is empty, nothing to split');
+        node.status({ fill: "yellow", shape: "ring", text: "Empty array" });
+        return;
+      }
+
+      const batchId = RED.util.generateId();
+      const mirror = shouldMirrorPayload();
+
+      const messages = arrayData.map(function(element, index) {
+        // Shallow copy keeps _msgid, topic etc. while giving each element its own meta
+        const elementMsg = { ...msg, meta: { ...(msg.meta || {}) } };
+        elementMsg.meta.arrayPosition = index;
+        elementMsg.meta.arrayLength = arrayData.length;
+        elementMsg.meta.arrayData = element;
+        elementMsg.meta.batchId = batchId;
+        if (mirror) {
+          elementMsg.payload = element;
+        }
+        return elementMsg;
+      });
+
+      node.status({
+        fill: "green",
+        shape: "dot",
+        text: `Split: ${messages.length} items`
+      });
+
+      send([messages]);
+    }
+
     // Handle incoming messages
     node.on('input', function(msg, send, done) {
       try {
+        if (node.mode === 'split') {
+          splitArray(msg, send);
+          return done ? done() : null;
+        }
+
         // Resolve array position dynamically
         let resolvedPosition;
         try {
@@ -47,14 +129,7 @@ module.exports = function(RED) {
         }
 
         // Get data from configured input path
-        let arrayData;
-        if (node.inputPathType === 'msg') {
-          arrayData = RED.util.getMessageProperty(msg, node.inputPath);
-        } else if (node.inputPathType === 'flow') {
-          arrayData = node.context().flow.get(node.inputPath);
-        } else if (node.inputPathType === 'global') {
-          arrayData = node.context().global.get(node.inputPath);
-        }
+        let arrayData = readInput(msg);
 
         // Handle undefined data gracefully
         if (arrayData === undefined) {
@@ -71,14 +146,7 @@ module.exports = function(RED) {
         msg.meta.arrayPosition = resolvedPosition;
         msg.meta.arrayData = arrayData;
 
-        const normalizedPath = typeof node.inputPath === 'string'
-          ? node.inputPath.trim()
-          : node.inputPath;
-        const shouldMirrorPayload =
-          node.inputPathType === 'msg' &&
-          normalizedPath === 'payload';
-
-        if (shouldMirrorPayload) {
+        if (shouldMirrorPayload()) {
           msg.payload = arrayData;
         }
 
@@ -4,6 +4,24 @@
  */
 
 module.exports = function (RED) {
+  const NodeUtils = require('../../lib/node-utils.js')(RED);
+  const ASSEMBLY_MODES = ['array', 'keyed', 'merge'];
+  const DUPLICATE_POLICIES = ['last-wins', 'first-wins', 'reject'];
+  const MAX_CLOSED_KEYS = 1000; // bound on remembered closed collections for late detection
+  const PERSIST_KEY = 'openCollections';
+  const SHARED_KEY = ''; // collection key when no correlation path is set
+
+  /* Items and held messages are keyed by element names taken from messages,
+     so they live in prototype-less objects and are checked without relying
+     on an inherited hasOwnProperty (a name like "__proto__" stays plain data) */
+  function createSlotMap(source) {
+    return Object.assign(Object.create(null), source);
+  }
+
+  function hasSlot(slots, slot) {
+    return Object.prototype.hasOwnProperty.call(slots, slot);
+  }
+
   function ArrayOutNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
@@ -12,25 +30,81 @@ module.exports = function (RED) {
        ░░ 1.  Read & validate cfg ░░
        ──────────────────────────── */
     node.timeout       = parseInt(config.timeout) || 5000;
-    node.expectedCount = parseInt(config.expectedCount);
+    node.expectedCountType = config.expectedCountType || 'num';
+    node.expectedCount = node.expectedCountType === 'num'
+      ? parseInt(config.expectedCount)
+      : config.expectedCount;
     node.outputPath    = config.outputPath || 'payload';
     node.outputPathType = config.outputPathType || 'msg';
+    // Each correlation key gets its own collection so overlapping batches never
+    // mix. Nodes saved before correlation keys existed have no correlationPath
+    // and keep their single shared collection; an empty path does the same
+    node.correlationPath = config.correlationPath === undefined
+      ? ''
+      : String(config.correlationPath).trim();
+
+    const parsedMaxCollections = parseInt(config.maxCollections, 10);
+    node.maxCollections =
+      Number.isInteger(parsedMaxCollections) && parsedMaxCollections >= 0
+        ? parsedMaxCollections
+        : 10;
+
+    node.assemblyMode = ASSEMBLY_MODES.includes(config.assemblyMode)
+      ? config.assemblyMode
+      : 'array';
+    // Besides positional arrays, elements can be assembled into an object keyed
+    // by element name or deep-merged into one object
+    node.elementKeyPath = (config.elementKeyPath || 'meta.arrayKey').trim();
+
+    // Ordered release acts as a reorder buffer that streams elements out;
+    // streaming only makes sense for positional arrays
+    node.releaseMode =
+      config.releaseMode === 'ordered' && node.assemblyMode === 'array'
+        ? 'ordered'
+        : 'complete';
+
+    // Duplicate positions, and late elements of collections closed within the
+    // late window, go to output 3
+    node.duplicatePolicy = DUPLICATE_POLICIES.includes(config.duplicatePolicy)
+      ? config.duplicatePolicy
+      : 'last-wins';
+
+    const parsedLateWindow = parseInt(config.lateWindow, 10);
+    node.lateWindow =
+      Number.isInteger(parsedLateWindow) && parsedLateWindow >= 0
+        ? parsedLateWindow
+        : node.timeout;
 
-    if (!Number.isInteger(node.expectedCount) || node.expectedCount < 1) {
+    // Open collections can be kept in a context store to survive redeploys and restarts
+    node.persist = config.persist === true;
+    node.persistStore = (config.persistStore || '').trim() || undefined;
+
+    if (node.expectedCountType === 'num' &&
+        (!Number.isInteger(node.expectedCount) || node.expectedCount < 1)) {
       node.error('Invalid expectedCount. Must be a positive integer.');
       node.expectedCount = 2; // sensible default
     }
 
+    const expectedCountLabel = node.expectedCountType === 'num'
+      ? String(node.expectedCount)
+      : `${node.expectedCountType}.${node.expectedCount}`;
+
     /* ────────────────────────────
        ░░ 2.  Internal state      ░░
        ──────────────────────────── */
-    node.collection          = {};
-    node.timeoutHandle       = null;
-    node.isCollecting        = false;
-    node.collectionStartTime = null;
+    // correlation key → { key, items (slot → data), expectedCount, startTime, timeoutHandle,
+    //                     nextPosition, held } (last two used in ordered mode)
+    node.collections  = new Map();
+    // correlation key → { state, closedAt } for collections that already finished
+    node.closedKeys   = new Map();
+    node.statusHandle = null;
 
     setStatusReady();
 
+    if (node.persist) {
+      restoreCollections();
+    }
+
     /* ────────────────────────────
        ░░ 3.  Helper functions   ░░
        ──────────────────────────── */
@@ -38,163 +112,595 @@ module.exports = function (RED) {
       node.status({
         fill: 'blue',
         shape: 'dot',
-        text: `Ready (expect ${node.expectedCount})`
+        text: `Ready (expect ${expectedCountLabel})`
+      });
+    }
+
+    function setStatusCollecting() {
+      if (node.collections.size === 0) {
+        setStatusReady();
+        return;
+      }
+
+      if (node.collections.size === 1) {
+        const [collection] = node.collections.values();
+        const text = node.releaseMode === 'ordered'
+          ? `Streaming… (${collection.nextPosition}/${collection.expectedCount} out)`
+          : `Collecting… (${Object.keys(collection.items).length}/${collection.expectedCount})`;
+        node.status({ fill: 'yellow', shape: 'dot', text: text });
+        return;
+      }
+
+      node.status({
+        fill: 'yellow',
+        shape: 'dot',
+        text: `Collecting… (${node.collections.size} open)`
+      });
+    }
+
+    /* Show a transient status, then fall back to the collecting/ready view */
+    function scheduleStatusRefresh(delay) {
+      if (node.statusHandle) clearTimeout(node.statusHandle);
+      node.statusHandle = setTimeout(function () {
+        node.statusHandle = null;
+        setStatusCollecting();
+      }, delay);
+    }
+
+    function resolveCorrelationKey(msg) {
+      if (!node.correlationPath) return SHARED_KEY;
+      const key = RED.util.getMessageProperty(msg, node.correlationPath);
+      if (key === undefined || key === null || key === '') {
+        return null;
+      }
+      return String(key);
+    }
+
+    /**
+     * Resolves the expected element count for a new collection, either from
+     * the static config or from the message / flow / global context.
+     * @param {Object} msg - First message of the collection
+     * @returns {number} Positive integer count
+     * @throws {Error} If the value does not resolve to a positive integer
+     */
+    function resolveExpectedCount(msg) {
+      if (node.expectedCountType === 'num') {
+        return node.expectedCount;
+      }
+
+      const resolvedValue = RED.util.evaluateNodeProperty(
+        node.expectedCount, node.expectedCountType, node, msg
+      );
+      const count = parseInt(resolvedValue, 10);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error(
+          `Expected count "${resolvedValue}" from ${expectedCountLabel} must be a positive integer.`
+        );
+      }
+      return count;
+    }
+
+    function openCollection(key, expectedCount) {
+      const collection = {
+        key: key,
+        items: createSlotMap(),
+        expectedCount: expectedCount,
+        startTime: Date.now(),
+        timeoutHandle: null,
+        nextPosition: 0, // lowest position not yet released (ordered mode)
+        held: createSlotMap() // position → source msg waiting for lower positions
+      };
+      armTimeout(collection, node.timeout);
+      node.collections.set(key, collection);
+      return collection;
+    }
+
+    function armTimeout(collection, delay) {
+      collection.timeoutHandle = setTimeout(function () {
+        handleTimeout(collection);
+      }, Math.max(delay, 0));
+    }
+
+    /* Write all open collections to the configured context store */
+    function persistCollections() {
+      if (!node.persist) return;
+
+      const snapshot = [];
+      for (const collection of node.collections.values()) {
+        snapshot.push({
+          key: collection.key,
+          items: collection.items,
+          expectedCount: collection.expectedCount,
+          startTime: collection.startTime,
+          nextPosition: collection.nextPosition,
+          held: collection.held
+        });
+      }
+
+      node.context().set(PERSIST_KEY, snapshot, node.persistStore, function (err) {
+        if (err) node.warn(`Failed to persist open collections: ${err.message}`);
+      });
+    }
+
+    /**
+     * Reloads open collections saved by a previous instance of this node.
+     * Each one keeps its original start time, so only the remaining timeout
+     * budget is armed; expired ones time out straight away.
+     */
+    function restoreCollections() {
+      node.context().get(PERSIST_KEY, node.persistStore, function (err, snapshot) {
+        if (err) {
+          node.warn(`Failed to restore open collections: ${err.message}`);
+          return;
+        }
+        if (!Array.isArray(snapshot) || snapshot.length === 0) return;
+
+        let restored = 0;
+        const merged = [];
+        for (const saved of snapshot) {
+          if (!saved || saved.key === undefined) continue;
+
+          const live = node.collections.get(saved.key);
+          if (live) {
+            mergeRestoredCollection(live, saved);
+            merged.push(live);
+            continue;
+          }
+
+          const collection = {
+            key: saved.key,
+            items: createSlotMap(NodeUtils.reviveBuffers(saved.items || {})),
+            expectedCount: saved.expectedCount,
+            startTime: saved.startTime,
+            timeoutHandle: null,
+            nextPosition: saved.nextPosition || 0,
+            held: createSlotMap(NodeUtils.reviveBuffers(saved.held || {}))
+          };
+          node.collections.set(collection.key, collection);
+          armTimeout(collection, node.timeout - (Date.now() - collection.startTime));
+          restored++;
+        }
+
+        if (restored === 0 && merged.length === 0) return;
+        node.log(`Restored ${restored} open collection(s) from context` +
+          (merged.length > 0 ? `, merged ${merged.length} into collections opened meanwhile` : ''));
+
+        /* A merge can complete a collection without another element arriving */
+        for (const collection of merged) {
+          if (node.releaseMode === 'ordered') {
+            releaseInOrder(collection);
+          } else if (Object.keys(collection.items).length === collection.expectedCount) {
+            assembleAndOutput(collection, {});
+          }
+        }
+
+        /* Restored collections are older than the ones input opened meanwhile,
+           so put every collection back in start order before applying the limit */
+        const ordered = [...node.collections.values()].sort((a, b) => a.startTime - b.startTime);
+        node.collections.clear();
+        ordered.forEach(collection => node.collections.set(collection.key, collection));
+        while (node.maxCollections > 0 && node.collections.size > node.maxCollections) {
+          evictOldestCollection();
+        }
+
+        persistCollections();
+        setStatusCollecting();
       });
     }
 
-    function resetCollection() {
-      if (node.timeoutHandle) {
-        clearTimeout(node.timeoutHandle);
-        node.timeoutHandle = null;
+    /**
+     * Input can open a collection before the context store answers. The saved
+     * elements are folded into it (elements received since win), and it keeps
+     * the earlier start time so the timeout budget is not extended.
+     * @param {Object} collection - The live collection with the saved key
+     * @param {Object} saved - The persisted collection
+     */
+    function mergeRestoredCollection(collection, saved) {
+      const items = NodeUtils.reviveBuffers(saved.items || {});
+      for (const slot of Object.keys(items)) {
+        if (!hasSlot(collection.items, slot)) collection.items[slot] = items[slot];
+      }
+
+      /* Positions below the saved nextPosition already went out before the restart */
+      collection.nextPosition = Math.max(collection.nextPosition, saved.nextPosition || 0);
+      const held = NodeUtils.reviveBuffers(saved.held || {});
+      for (const position of Object.keys(held)) {
+        if (!hasSlot(collection.held, position)) collection.held[position] = held[position];
+      }
+      for (const position of Object.keys(collection.held)) {
+        if (Number(position) < collection.nextPosition) delete collection.held[position];
+      }
+
+      if (saved.startTime < collection.startTime) {
+        collection.startTime = saved.startTime;
+        clearTimeout(collection.timeoutHandle);
+        armTimeout(collection, node.timeout - (Date.now() - collection.startTime));
       }
-      node.collection          = {};
-      node.isCollecting        = false;
-      node.collectionStartTime = null;
     }
 
-    function handleTimeout() {
-      const elapsed = Date.now() - node.collectionStartTime;
-      
-      /* Build timeout message with collected data + missing info */
-      const collectedPositions = Object.keys(node.collection).map(k => parseInt(k)).sort((a, b) => a - b);
-      const missingPositions = [];
-      for (let i = 0; i < node.expectedCount; i++) {
-        if (!node.collection.hasOwnProperty(i)) {
-          missingPositions.push(i);
+    /**
+     * Closes a collection and remembers its key so elements that arrive
+     * afterwards can be recognised as late.
+     * @param {Object} collection - The collection to close
+     * @param {string} state - How it ended: 'completed', 'timeout', 'evicted', 'rejected' or 'error'
+     */
+    function closeCollection(collection, state) {
+      if (collection.timeoutHandle) {
+        clearTimeout(collection.timeoutHandle);
+        collection.timeoutHandle = null;
+      }
+      node.collections.delete(collection.key);
+      persistCollections();
+
+      /* A shared collection reopens with the next element, so it is never late */
+      if (node.lateWindow > 0 && node.correlationPath) {
+        node.closedKeys.delete(collection.key);
+        node.closedKeys.set(collection.key, { state: state, closedAt: Date.now() });
+        if (node.closedKeys.size > MAX_CLOSED_KEYS) {
+          node.closedKeys.delete(node.closedKeys.keys().next().value);
         }
       }
-      
-      /* Build the partial array (same logic as normal completion) */
-      const result = Array.from({ length: node.expectedCount }, (_, i) =>
-        node.collection.hasOwnProperty(i) ? node.collection[i] : null
+    }
+
+    /* Forget closed keys older than the late window (Map keeps insertion order) */
+    function pruneClosedKeys() {
+      const cutoff = Date.now() - node.lateWindow;
+      for (const [key, entry] of node.closedKeys) {
+        if (entry.closedAt > cutoff) break;
+        node.closedKeys.delete(key);
+      }
+    }
+
+    function resetCollections() {
+      for (const collection of node.collections.values()) {
+        if (collection.timeoutHandle) clearTimeout(collection.timeoutHandle);
+      }
+      node.collections.clear();
+      node.closedKeys.clear();
+    }
+
+    /* Send a duplicate or late element to output 3 with the reason in meta */
+    function emitRejected(msg, key, reason, extra) {
+      msg.meta = msg.meta || {};
+      msg.meta.arrayOutRejected = true;
+      msg.meta.arrayOutRejectReason = reason;
+      msg.meta.correlationKey = key;
+      Object.assign(msg.meta, extra);
+      node.send([null, null, msg]);
+    }
+
+    /**
+     * Builds the assembled result for the configured assembly mode:
+     * ordered array with null gaps, object keyed by element name, or a
+     * deep merge of all element objects in position order.
+     * @param {Object} collection - The collection to assemble
+     * @returns {Array|Object} The assembled result
+     */
+    function buildResult(collection) {
+      if (node.assemblyMode === 'keyed') {
+        return { ...collection.items };
+      }
+
+      if (node.assemblyMode === 'merge') {
+        const positions = Object.keys(collection.items).map(k => parseInt(k)).sort((a, b) => a - b);
+        return positions.reduce(
+          (merged, position) => NodeUtils.deepMerge(merged, collection.items[position]),
+          {}
+        );
+      }
+
+      return Array.from({ length: collection.expectedCount }, (_, i) =>
+        hasSlot(collection.items, i) ? collection.items[i] : null
       );
-      
-      /* Create timeout message */
-      const timeoutMsg = {
-        meta: {
-          timeout: true,
-          missingPositions: missingPositions,
-          collectedPositions: collectedPositions,
-          expectedCount: node.expectedCount,
-          collectedCount: collectedPositions.length,
-          elapsed: elapsed
+    }
+
+    /**
+     * Reads the slot an element fills: its position, or its name in keyed mode
+     * @param {Object} msg - The incoming message
+     * @returns {number|string|null} The slot, or null if the message lacks it
+     */
+    function resolveSlot(msg) {
+      if (node.assemblyMode === 'keyed') {
+        const name = RED.util.getMessageProperty(msg, node.elementKeyPath);
+        if (name === undefined || name === null || name === '') {
+          return null;
         }
-      };
-      
-      /* Place the partial array where the user wants it */
+        return String(name);
+      }
+
+      if (!msg.meta || typeof msg.meta.arrayPosition !== 'number') {
+        return null;
+      }
+      return msg.meta.arrayPosition;
+    }
+
+    /* Place the array where the user wants it */
+    function writeResult(outMsg, result) {
       if (node.outputPathType === 'msg') {
-        RED.util.setMessageProperty(timeoutMsg, node.outputPath, result, true);
+        RED.util.setMessageProperty(outMsg, node.outputPath, result, true);
       } else if (node.outputPathType === 'flow') {
         node.context().flow.set(node.outputPath, result);
       } else if (node.outputPathType === 'global') {
         node.context().global.set(node.outputPath, result);
       }
-      
+    }
+
+    /* Send a partial collection to output 2 with missing-position info */
+    function emitPartial(collection, reason) {
+      const elapsed = Date.now() - collection.startTime;
+      const collectedCount = Object.keys(collection.items).length;
+
+      const partialMsg = {
+        meta: {
+          timeout: reason === 'timeout',
+          evicted: reason === 'evicted',
+          reason: reason,
+          correlationKey: collection.key,
+          expectedCount: collection.expectedCount,
+          collectedCount: collectedCount,
+          elapsed: elapsed
+        }
+      };
+
+      if (node.assemblyMode === 'keyed') {
+        /* Names are not known in advance, so only report what arrived */
+        partialMsg.meta.collectedKeys = Object.keys(collection.items);
+      } else {
+        const missingPositions = [];
+        for (let i = 0; i < collection.expectedCount; i++) {
+          if (!hasSlot(collection.items, i)) {
+            missingPositions.push(i);
+          }
+        }
+        partialMsg.meta.missingPositions = missingPositions;
+        partialMsg.meta.collectedPositions = Object.keys(collection.items).map(k => parseInt(k)).sort((a, b) => a - b);
+      }
+
+      if (node.releaseMode === 'ordered') {
+        /* Everything below nextPosition already went out on output 1 */
+        partialMsg.meta.releasedCount = collection.nextPosition;
+        partialMsg.meta.heldPositions = Object.keys(collection.held).map(k => parseInt(k)).sort((a, b) => a - b);
+      }
+
+      writeResult(partialMsg, buildResult(collection));
+
       /* Send to output 2 only */
-      node.send([null, timeoutMsg]);
-      
+      node.send([null, partialMsg]);
+
+      return collectedCount;
+    }
+
+    function handleTimeout(collection) {
+      collection.timeoutHandle = null;
+      const collectedCount = emitPartial(collection, 'timeout');
+      closeCollection(collection, 'timeout');
+
       node.status({
         fill: 'yellow',
         shape: 'ring',
-        text: `Timeout: sent ${collectedPositions.length}/${node.expectedCount} to output 2`
+        text: `Timeout: sent ${collectedCount}/${collection.expectedCount} to output 2`
       });
-      
-      resetCollection();
-      setTimeout(setStatusReady, 3000);
+      scheduleStatusRefresh(3000);
     }
 
-    function assembleAndOutput(sourceMsg) {
-      const elapsed = Date.now() - node.collectionStartTime;
+    /* Make room for a new collection by flushing the oldest open one */
+    function evictOldestCollection() {
+      const [oldest] = node.collections.values();
+      if (!oldest) return;
 
-      /* Build the ordered array (fill gaps with null) */
-      const result = Array.from({ length: node.expectedCount }, (_, i) =>
-        node.collection.hasOwnProperty(i) ? node.collection[i] : null
+      node.warn(
+        `Open collection limit (${node.maxCollections}) reached. ` +
+        `Evicting collection "${oldest.key}" to output 2.`
       );
+      emitPartial(oldest, 'evicted');
+      closeCollection(oldest, 'evicted');
+    }
+
+    function assembleAndOutput(collection, sourceMsg) {
+      const elapsed = Date.now() - collection.startTime;
+      const result = buildResult(collection);
 
-      /* Place the array where the user wants it */
       const outMsg = { ...sourceMsg }; // shallow‑clone to keep headers etc.
-      if (node.outputPathType === 'msg') {
-        RED.util.setMessageProperty(outMsg, node.outputPath, result, true);
-      } else if (node.outputPathType === 'flow') {
-        node.context().flow.set(node.outputPath, result);
-      } else if (node.outputPathType === 'global') {
-        node.context().global.set(node.outputPath, result);
-      }
+      writeResult(outMsg, result);
+
+      closeCollection(collection, 'completed');
 
       node.status({
         fill: 'green',
         shape: 'dot',
-        text: `Complete: ${result.length} (${elapsed} ms)`
+        text: `Complete: ${collection.expectedCount} (${elapsed} ms)`
       });
       node.send([outMsg, null]);
 
       /* Return to ready after a short pause */
-      setTimeout(setStatusReady, 2000);
-      resetCollection();
+      scheduleStatusRefresh(2000);
+    }
+
+    /**
+     * Ordered mode: emits every element whose lower positions have all been
+     * emitted, then closes the collection once the last one is out.
+     * @param {Object} collection - The collection to release from
+     */
+    function releaseInOrder(collection) {
+      while (hasSlot(collection.held, collection.nextPosition)) {
+        const position = collection.nextPosition;
+        const sourceMsg = collection.held[position];
+        delete collection.held[position];
+        collection.nextPosition++;
+
+        const outMsg = { ...sourceMsg }; // shallow‑clone to keep headers etc.
+        outMsg.meta = {
+          ...sourceMsg.meta,
+          arrayPosition: position,
+          arrayLength: collection.expectedCount,
+          arrayLast: collection.nextPosition === collection.expectedCount,
+          correlationKey: collection.key
+        };
+        writeResult(outMsg, collection.items[position]);
+        node.send([outMsg, null]);
+      }
+
+      if (collection.nextPosition === collection.expectedCount) {
+        const elapsed = Date.now() - collection.startTime;
+        closeCollection(collection, 'completed');
+        node.status({
+          fill: 'green',
+          shape: 'dot',
+          text: `Streamed: ${collection.expectedCount} (${elapsed} ms)`
+        });
+        scheduleStatusRefresh(2000);
+      } else {
+        setStatusCollecting();
+      }
     }
 
     /* ────────────────────────────
        ░░ 4.  Input handler      ░░
        ──────────────────────────── */
     node.on('input', function (msg, send, done) {
+      let key = null;
       try {
-        /* 4.1  Basic sanity checks */
-        if (!msg.meta || typeof msg.meta.arrayPosition !== 'number') {
+        /* 4.1  Basic sanity checks – position, or element name in keyed mode */
+        const slot = resolveSlot(msg);
+        if (slot === null) {
           node.warn(
-            'Message missing array metadata. Expected msg.meta.arrayPosition (number) from rp-array-in node'
+            node.assemblyMode === 'keyed'
+              ? `Message missing element name at msg.${node.elementKeyPath}`
+              : 'Message missing array metadata. Expected msg.meta.arrayPosition (number) from rp-array-in node'
           );
           return done?.();
         }
 
-        const position = msg.meta.arrayPosition;
+        /* 4.2  Resolve correlation key */
+        key = resolveCorrelationKey(msg);
+        if (key === null) {
+          node.warn(`Message missing correlation key at msg.${node.correlationPath}`);
+          return done?.();
+        }
 
-        /* 4.2  Validate range */
-        if (position < 0 || position >= node.expectedCount) {
+        /* 4.3  Late element of a collection that is already closed */
+        let collection = node.collections.get(key);
+        if (!collection && node.lateWindow > 0 && node.correlationPath) {
+          pruneClosedKeys();
+          const closed = node.closedKeys.get(key);
+          if (closed) {
+            emitRejected(msg, key, 'late', {
+              collectionState: closed.state,
+              closedAgo: Date.now() - closed.closedAt
+            });
+            return done?.();
+          }
+        }
+
+        /* 4.4  Expected count – fixed per collection, taken from its first message */
+        let expectedCount;
+        if (collection) {
+          expectedCount = collection.expectedCount;
+        } else {
+          try {
+            expectedCount = resolveExpectedCount(msg);
+          } catch (err) {
+            node.warn(`Failed to resolve expected count: ${err.message}`);
+            node.status({ fill: 'red', shape: 'ring', text: 'Invalid expected count' });
+            return done?.();
+          }
+        }
+
+        /* 4.5  Validate range */
+        if (node.assemblyMode !== 'keyed' && (slot < 0 || slot >= expectedCount)) {
           node.warn(
-            `Position ${position} out of range 0‑${node.expectedCount - 1}`
+            `Position ${slot} out of range 0‑${expectedCount - 1}`
           );
           return done?.();
         }
 
-        /* 4.3  Extract data – prefer meta.arrayData, fall back to payload */
+        /* 4.6  Extract data – prefer meta.arrayData, fall back to payload */
         const data =
           msg.meta && msg.meta.arrayData !== undefined
             ? msg.meta.arrayData
             : msg.payload;
 
-        /* 4.4  Start collection if first element */
-        if (!node.isCollecting) {
-          node.isCollecting        = true;
-          node.collection          = {};
-          node.collectionStartTime = Date.now();
-          node.timeoutHandle       = setTimeout(handleTimeout, node.timeout);
-          node.status({
-            fill: 'yellow',
-            shape: 'dot',
-            text: 'Collecting… (1/' + node.expectedCount + ')'
-          });
+        if (node.assemblyMode === 'merge' && !NodeUtils.isPlainObject(data)) {
+          node.warn(`Merge mode expects object elements. Position ${slot} is ${Array.isArray(data) ? 'an array' : typeof data}`);
+          return done?.();
         }
 
-        /* 4.5  Store element */
-        node.collection[position] = data;
+        /* 4.7  Start collection if first element for this key */
+        if (!collection) {
+          if (node.maxCollections > 0 && node.collections.size >= node.maxCollections) {
+            evictOldestCollection();
+          }
+          collection = openCollection(key, expectedCount);
+        }
 
-        /* 4.6  Update collecting status */
-        const collected = Object.keys(node.collection).length;
-        node.status({
-          fill: 'yellow',
-          shape: 'dot',
-          text: `Collecting… (${collected}/${node.expectedCount})`
-        });
+        /* 4.8  Apply duplicate policy, then store element */
+        if (hasSlot(collection.items, slot)) {
+          if (node.releaseMode === 'ordered' && slot < collection.nextPosition &&
+              node.duplicatePolicy !== 'reject') {
+            /* Ordered mode: the element is already out and cannot be replaced */
+            emitRejected(msg, key, 'duplicate', {
+              duplicatePolicy: node.duplicatePolicy,
+              alreadyReleased: true
+            });
+            return done?.();
+          } else if (node.duplicatePolicy === 'last-wins') {
+            /* Report the element being replaced */
+            const replacedMeta = node.assemblyMode === 'keyed'
+              ? { arrayKey: slot }
+              : { arrayPosition: slot };
+            emitRejected(
+              { payload: collection.items[slot], meta: replacedMeta },
+              key, 'duplicate', { duplicatePolicy: node.duplicatePolicy }
+            );
+          } else if (node.duplicatePolicy === 'first-wins') {
+            emitRejected(msg, key, 'duplicate', { duplicatePolicy: node.duplicatePolicy });
+            return done?.();
+          } else {
+            /* reject: a duplicate invalidates the whole collection */
+            emitPartial(collection, 'duplicate');
+            closeCollection(collection, 'rejected');
+            emitRejected(msg, key, 'duplicate', { duplicatePolicy: node.duplicatePolicy });
+            node.status({
+              fill: 'red',
+              shape: 'ring',
+              text: `Duplicate ${node.assemblyMode === 'keyed' ? 'key' : 'position'} ${slot}: collection rejected`
+            });
+            scheduleStatusRefresh(3000);
+            return done?.();
+          }
+        }
 
-        /* 4.7  Check completion */
-        if (collected === node.expectedCount) {
-          assembleAndOutput(msg);
+        collection.items[slot] = data;
+
+        if (node.releaseMode === 'ordered') {
+          collection.held[slot] = msg;
+          releaseInOrder(collection);
+          if (node.collections.has(key)) persistCollections();
+          return done?.();
+        }
+
+        /* 4.9  Check completion, otherwise update collecting status */
+        const collected = Object.keys(collection.items).length;
+        if (collected === collection.expectedCount) {
+          assembleAndOutput(collection, msg);
+        } else {
+          persistCollections();
+          setStatusCollecting();
         }
 
         done?.();
       } catch (err) {
+        /* Only the failing key's collection is dropped; other keys keep collecting */
+        const failed = key !== null ? node.collections.get(key) : undefined;
+        if (failed) {
+          closeCollection(failed, 'error');
+          try {
+            emitPartial(failed, 'error');
+          } catch (emitErr) {
+            node.warn(`Could not emit partial collection "${failed.key}": ${emitErr.message}`);
+          }
+        }
         node.status({ fill: 'red', shape: 'ring', text: 'Error' });
-        resetCollection();
         if (done) done(err);
         else node.error(err, msg);
       }
@@ -203,9 +709,23 @@ module.exports = function (RED) {
     /* ────────────────────────────
        ░░ 5.  Cleanup            ░░
        ──────────────────────────── */
-    node.on('close', function () {
-      resetCollection();
+    node.on('close', function (removed, done) {
+      /* Persisted collections stay in the store for the next instance
+         unless the node itself was deleted */
+      resetCollections();
+      if (node.statusHandle) {
+        clearTimeout(node.statusHandle);
+        node.statusHandle = null;
+      }
       node.status({});
+
+      if (node.persist && removed) {
+        node.context().set(PERSIST_KEY, undefined, node.persistStore, function () {
+          done();
+        });
+        return;
+      }
+      done();
     });
   }
 
@@ -1,9 +1,12 @@
 /**
- * @file Node.js logic for the Array-Select node with single output and flexible selection.
+ * @file Node.js logic for the Array-Select node with flexible selection.
  * @author Rosepetal
  */
 
 module.exports = function(RED) {
+  const SELECTION_MODES = ['index', 'mask', 'predicate', 'topk'];
+  const ROUTING_MODES = ['single', 'rules'];
+
   function ArraySelectNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
@@ -14,20 +17,42 @@ module.exports = function(RED) {
     node.outputPath = config.outputPath || 'payload';
     node.outputPathType = config.outputPathType || 'msg';
     node.selection = config.selection || '0';
+    node.selectionType = config.selectionType || 'str';
+    node.preserveMsg = config.preserveMsg || false;
     node.asArray = config.asArray || false;
 
+    // Selection mode (index/slice syntax, boolean mask, JSONata predicate or
+    // top-k by field) and its mode-specific settings
+    node.selectionMode = SELECTION_MODES.includes(config.selectionMode) ? config.selectionMode : 'index';
+    node.maskPath = config.maskPath || 'mask';
+    node.maskPathType = config.maskPathType || 'msg';
+    node.predicate = config.predicate || '';
+    node.topKField = config.topKField || 'score';
+    node.topKCount = parseInt(config.topKCount, 10) || 1;
+    node.topKOrder = config.topKOrder === 'asc' ? 'asc' : 'desc';
+
+    // Routing: one selection on output 1, or one output per rule.
+    // The optional remainder output (last port) receives the unselected elements.
+    node.routing = ROUTING_MODES.includes(config.routing) ? config.routing : 'single';
+    node.remainder = config.remainder || false;
+
+    const defaultSelection = buildConfiguredSelection();
+    const ruleSelections = node.routing === 'rules'
+      ? (Array.isArray(config.rules) ? config.rules : []).map(buildRuleSelection)
+      : [];
+
     // Set initial status
     node.status({ 
       fill: "blue", 
       shape: "dot", 
-      text: `Ready: ${node.selection}` 
+      text: `Ready: ${describeReady()}` 
     });
 
     /**
      * Parse selection string and return indices
      * @param {string} selection - Selection string (e.g., "0", "1,3,5", "1:4", "0::2")
      * @param {number} arrayLength - Length of input array
-     * @returns {Array} Array of indices or null if invalid
+     * @returns {Array} Array of indices (possibly empty) or null if invalid
      */
     function parseSelection(selection, arrayLength) {
       if (!selection || selection.trim() === '') return null;
@@ -42,7 +67,7 @@ module.exports = function(RED) {
           if (normalizedIndex >= 0 && normalizedIndex < arrayLength) {
             return [normalizedIndex];
           }
-          return null;
+          return [];
         }
         
         // Multiple indices (e.g., "0,2,4")
@@ -51,7 +76,7 @@ module.exports = function(RED) {
             const index = parseInt(s.trim());
             return index < 0 ? arrayLength + index : index;
           }).filter(i => i >= 0 && i < arrayLength);
-          return indices.length > 0 ? indices : null;
+          return indices;
         }
         
         // Range (e.g., "1:4" or "1:4:2")
@@ -68,22 +93,38 @@ module.exports = function(RED) {
             for (let i = Math.max(0, start); i < Math.min(arrayLength, end); i++) {
               indices.push(i);
             }
-            return indices.length > 0 ? indices : null;
+            return indices;
           } else if (parts.length === 3) {
             // Step range: start:end:step
-            let start = parseInt(parts[0]) || 0;
-            let end = parseInt(parts[1]) || arrayLength;
-            let step = parseInt(parts[2]) || 1;
+            const step = parts[2].trim() === '' ? 1 : parseInt(parts[2]);
+            if (isNaN(step) || step === 0) return null;
+
+            if (step > 0) {
+              let start = parseInt(parts[0]) || 0;
+              let end = parseInt(parts[1]) || arrayLength;
+              start = start < 0 ? arrayLength + start : start;
+              end = end < 0 ? arrayLength + end : end;
+
+              const indices = [];
+              for (let i = Math.max(0, start); i < Math.min(arrayLength, end); i += step) {
+                indices.push(i);
+              }
+              return indices;
+            }
+
+            // Negative step walks backwards: start defaults to the last element,
+            // end (exclusive) defaults to "before the first element"
+            let start = parts[0].trim() === '' ? arrayLength - 1 : parseInt(parts[0]);
+            let end = parts[1].trim() === '' ? -1 : parseInt(parts[1]);
+            if (isNaN(start) || isNaN(end)) return null;
             start = start < 0 ? arrayLength + start : start;
-            end = end < 0 ? arrayLength + end : end;
-            
-            if (step <= 0) step = 1;
-            
+            if (parts[1].trim() !== '' && end < 0) end = Math.max(arrayLength + end, -1);
+
             const indices = [];
-            for (let i = Math.max(0, start); i < Math.min(arrayLength, end); i += step) {
+            for (let i = Math.min(arrayLength - 1, start); i > end && i >= 0; i += step) {
               indices.push(i);
             }
-            return indices.length > 0 ? indices : null;
+            return indices;
           }
         }
         
@@ -93,8 +134,278 @@ module.exports = function(RED) {
       }
     }
 
+    /**
+     * Builds the selection described by the editor configuration
+     * @returns {Object} Selection descriptor { mode, ... }
+     */
+    function buildConfiguredSelection() {
+      switch (node.selectionMode) {
+        case 'mask':
+          return { mode: 'mask', path: node.maskPath, pathType: node.maskPathType, source: `${node.maskPathType}.${node.maskPath}` };
+        case 'predicate':
+          return { mode: 'predicate', predicate: node.predicate };
+        case 'topk':
+          return { mode: 'topk', count: node.topKCount, field: node.topKField, order: node.topKOrder };
+        default:
+          if (node.selectionType !== 'str') {
+            // Read per message from msg/flow/global, in any msg.selection format
+            return { mode: 'dynamic', path: node.selection, pathType: node.selectionType, source: `${node.selectionType}.${node.selection}` };
+          }
+          return { mode: 'index', selection: node.selection };
+      }
+    }
+
+    /**
+     * Builds the selection for one routing rule from the editor list.
+     * The rule value holds the slice, mask path (msg), predicate or k depending on mode.
+     * @param {Object} rule - { mode, value, field, order }
+     * @returns {Object} Selection descriptor
+     */
+    function buildRuleSelection(rule) {
+      const value = String(rule.value ?? '').trim();
+      switch (rule.mode) {
+        case 'mask':
+          return { mode: 'mask', path: value || 'mask', pathType: 'msg', source: `msg.${value || 'mask'}` };
+        case 'predicate':
+          return { mode: 'predicate', predicate: value };
+        case 'topk':
+          return {
+            mode: 'topk',
+            count: parseInt(value, 10),
+            field: rule.field || 'score',
+            order: rule.order === 'asc' ? 'asc' : 'desc'
+          };
+        default:
+          return { mode: 'index', selection: value };
+      }
+    }
+
+    /**
+     * Normalizes a per-message msg.selection override into a selection descriptor.
+     * Accepts a slice string, a boolean mask array, or an object with
+     * { mask }, { predicate } or { topK, field, order }.
+     * @param {*} override - Value of msg.selection
+     * @returns {Object|null} Selection descriptor or null if not understood
+     */
+    function parseSelectionOverride(override) {
+      if (typeof override === 'string' || typeof override === 'number') {
+        return { mode: 'index', selection: String(override) };
+      }
+      if (Array.isArray(override)) {
+        return { mode: 'mask', mask: override, source: 'msg.selection' };
+      }
+      if (override && typeof override === 'object') {
+        if (Array.isArray(override.mask)) {
+          return { mode: 'mask', mask: override.mask, source: 'msg.selection.mask' };
+        }
+        if (typeof override.predicate === 'string') {
+          return { mode: 'predicate', predicate: override.predicate };
+        }
+        if (override.topK !== undefined) {
+          return {
+            mode: 'topk',
+            count: parseInt(override.topK, 10),
+            field: override.field || node.topKField,
+            order: override.order === 'asc' ? 'asc' : (override.order === 'desc' ? 'desc' : node.topKOrder)
+          };
+        }
+      }
+      return null;
+    }
+
+    function describeReady() {
+      if (node.routing === 'rules') {
+        return `${ruleSelections.length} rule${ruleSelections.length === 1 ? '' : 's'}${node.remainder ? ' + rest' : ''}`;
+      }
+      return describeSelection(defaultSelection);
+    }
+
+    function describeSelection(selection) {
+      switch (selection.mode) {
+        case 'dynamic':
+          return selection.source;
+        case 'mask':
+          return `mask ${selection.source}`;
+        case 'predicate':
+          return `where ${selection.predicate}`;
+        case 'topk':
+          return `top ${selection.count} by ${selection.field}${selection.order === 'asc' ? ' (asc)' : ''}`;
+        default:
+          return selection.selection;
+      }
+    }
+
+    /**
+     * Indices whose mask entry is truthy. The mask must match the array length.
+     * @returns {Array|null} Selected indices or null if invalid
+     */
+    function selectByMask(mask, arrayLength) {
+      if (!Array.isArray(mask) || mask.length !== arrayLength) {
+        return null;
+      }
+      const indices = [];
+      mask.forEach((flag, i) => { if (flag) indices.push(i); });
+      return indices;
+    }
+
+    /**
+     * Evaluates a JSONata predicate against each element in turn.
+     * The element is the context ($), $index holds its position.
+     * @returns {Promise<Array>} Selected indices
+     */
+    async function selectByPredicate(predicate, inputArray) {
+      // Prepared per message: $index is assigned on the expression itself
+      const expr = RED.util.prepareJSONataExpression(predicate, node);
+      const indices = [];
+      for (let i = 0; i < inputArray.length; i++) {
+        expr.assign('index', i);
+        const result = await new Promise((resolve, reject) => {
+          RED.util.evaluateJSONataExpression(expr, inputArray[i], (err, value) => {
+            if (err) reject(err);
+            else resolve(value);
+          });
+        });
+        if (result) indices.push(i);
+      }
+      return indices;
+    }
+
+    /**
+     * Indices of the k elements with the highest (or lowest) numeric value at field.
+     * Elements without a numeric value are skipped. Ties keep array order.
+     * @returns {Array|null} Selected indices in ranking order or null if invalid
+     */
+    function selectTopK(selection, inputArray) {
+      if (!Number.isInteger(selection.count) || selection.count < 1) {
+        return null;
+      }
+      const ranked = [];
+      inputArray.forEach((element, i) => {
+        if (element === null || typeof element !== 'object') return;
+        const value = RED.util.getMessageProperty(element, selection.field);
+        if (typeof value === 'number' && !isNaN(value)) {
+          ranked.push({ i, value });
+        }
+      });
+      ranked.sort((a, b) => selection.order === 'asc' ? a.value - b.value : b.value - a.value);
+      return ranked.slice(0, selection.count).map(entry => entry.i);
+    }
+
+    /**
+     * Resolves a selection descriptor into the list of selected indices
+     * @returns {Promise<Array|null>} Selected indices (possibly empty) or null if invalid
+     */
+    async function resolveIndices(selection, inputArray, msg) {
+      switch (selection.mode) {
+        case 'mask': {
+          let mask = selection.mask;
+          if (mask === undefined) {
+            mask = RED.util.evaluateNodeProperty(selection.path, selection.pathType, node, msg);
+          }
+          return selectByMask(mask, inputArray.length);
+        }
+        case 'predicate':
+          return selectByPredicate(selection.predicate, inputArray);
+        case 'topk':
+          return selectTopK(selection, inputArray);
+        default:
+          return parseSelection(selection.selection, inputArray.length);
+      }
+    }
+
+    /**
+     * Formats selected elements: a single element is unwrapped unless Force Array is set
+     * @param {Array} items - Selected elements
+     * @returns {*} Element or array of elements
+     */
+    function formatResult(items) {
+      return (node.asArray || items.length > 1) ? items : items[0];
+    }
+
+    /**
+     * Creates the output message carrying the result: a clean message, or the
+     * original one when Keep message is set. With several outputs only the last
+     * non-empty one reuses the original; the others get a clone built before it,
+     * so they can be modified independently.
+     * A flow/global output is written to context only for the single selection;
+     * rule and remainder outputs always carry the result at msg.<outputPath>.
+     * @param {Object} msg - Incoming message
+     * @param {*} value - Result to output
+     * @param {boolean} toContext - Honour a flow/global output type
+     * @param {boolean} reuseOriginal - Send msg itself rather than a clone
+     * @returns {Object} Output message
+     */
+    function buildOutputMsg(msg, value, toContext, reuseOriginal) {
+      let outputMsg = {};
+      if (node.preserveMsg) {
+        outputMsg = reuseOriginal ? msg : RED.util.cloneMessage(msg);
+      }
+
+      if (node.outputPathType === 'msg' || !toContext) {
+        RED.util.setMessageProperty(outputMsg, node.outputPath, value, true);
+      } else if (node.outputPathType === 'flow') {
+        node.context().flow.set(node.outputPath, value);
+        // For flow context, send minimal message (no payload)
+      } else if (node.outputPathType === 'global') {
+        node.context().global.set(node.outputPath, value);
+        // For global context, send minimal message (no payload)
+      }
+
+      return outputMsg;
+    }
+
+    /**
+     * Elements not selected by any of the index lists, in array order (always an array)
+     */
+    function remainderOf(inputArray, indexLists) {
+      const taken = new Set();
+      indexLists.forEach(list => (list || []).forEach(idx => taken.add(idx)));
+      return inputArray.filter((_, idx) => !taken.has(idx));
+    }
+
+    /**
+     * Evaluates every rule against the same array and sends one message per
+     * matching rule on its own output, plus the unselected elements on the
+     * remainder output. Rules that match nothing leave their output empty.
+     */
+    async function routeByRules(inputArray, msg, send) {
+      const indexLists = [];
+      const invalidRules = [];
+
+      for (let r = 0; r < ruleSelections.length; r++) {
+        const indices = await resolveIndices(ruleSelections[r], inputArray, msg);
+        if (!indices) invalidRules.push(r + 1);
+        indexLists.push(indices);
+      }
+
+      // Clones are taken before the original is reused, so each sees the untouched message
+      const groups = indexLists.map(indices => (indices && indices.length > 0)
+        ? formatResult(indices.map(idx => inputArray[idx]))
+        : undefined);
+      const counts = indexLists.map(indices => indices ? indices.length : 0);
+      if (node.remainder) {
+        const rest = remainderOf(inputArray, indexLists);
+        groups.push(rest.length > 0 ? rest : undefined);
+        counts.push(rest.length);
+      }
+
+      const lastIndex = groups.map(group => group !== undefined).lastIndexOf(true);
+      const outputs = groups.map((group, i) => group !== undefined
+        ? buildOutputMsg(msg, group, false, i === lastIndex)
+        : null);
+
+      if (invalidRules.length > 0) {
+        node.warn(`Invalid rule${invalidRules.length > 1 ? 's' : ''} ${invalidRules.join(', ')} for array of length ${inputArray.length}`);
+        node.status({ fill: "red", shape: "ring", text: `Invalid rule ${invalidRules.join(', ')}` });
+      } else {
+        node.status({ fill: "green", shape: "dot", text: `Routed ${counts.join('|')} from [${inputArray.length}]` });
+      }
+
+      send(outputs);
+    }
+
     // Handle incoming messages
-    node.on('input', function(msg, send, done) {
+    node.on('input', async function(msg, send, done) {
       try {
         // Get data from configured input path
         let inputArray;
@@ -119,41 +430,52 @@ module.exports = function(RED) {
           return done?.();
         }
 
-        // Process selection
-        const indices = parseSelection(node.selection, inputArray.length);
-        
-        if (indices && indices.length > 0) {
-          const selectedItems = indices.map(idx => inputArray[idx]);
-          
-          // Determine output format
-          const result = (node.asArray || selectedItems.length > 1) ? selectedItems : selectedItems[0];
-          
-          // Create clean output message with only the selected result
-          let outputMsg = {};
-          
-          // Set output based on configured path
-          if (node.outputPathType === 'msg') {
-            RED.util.setMessageProperty(outputMsg, node.outputPath, result, true);
-          } else if (node.outputPathType === 'flow') {
-            node.context().flow.set(node.outputPath, result);
-            // For flow context, send minimal message (no payload)
-          } else if (node.outputPathType === 'global') {
-            node.context().global.set(node.outputPath, result);
-            // For global context, send minimal message (no payload)
-          }
-          
-          node.status({ 
-            fill: "green", 
-            shape: "dot", 
-            text: `Selected ${selectedItems.length} from [${inputArray.length}]` 
-          });
-          
-          send(outputMsg);
+        if (node.routing === 'rules') {
+          await routeByRules(inputArray, msg, send);
         } else {
-          // Invalid selection
-          node.warn(`Invalid selection "${node.selection}" for array of length ${inputArray.length}`);
-          node.status({ fill: "red", shape: "ring", text: "Invalid selection" });
-          return done?.();
+          // Process selection (msg.selection overrides the configured one)
+          let selection = defaultSelection;
+          if (msg.selection !== undefined) {
+            selection = parseSelectionOverride(msg.selection);
+            if (!selection) {
+              node.warn(`Unsupported msg.selection: ${JSON.stringify(msg.selection)}`);
+              node.status({ fill: "red", shape: "ring", text: "Invalid selection" });
+              return done?.();
+            }
+          } else if (selection.mode === 'dynamic') {
+            const value = RED.util.evaluateNodeProperty(selection.path, selection.pathType, node, msg);
+            const source = selection.source;
+            selection = parseSelectionOverride(value);
+            if (!selection) {
+              node.warn(`Unsupported selection in ${source}: ${JSON.stringify(value)}`);
+              node.status({ fill: "red", shape: "ring", text: "Invalid selection" });
+              return done?.();
+            }
+          }
+
+          const indices = await resolveIndices(selection, inputArray, msg);
+
+          // With a remainder output an empty selection is still routed (everything is "rest")
+          if (!indices || (indices.length === 0 && !node.remainder)) {
+            node.warn(`Invalid or empty selection "${describeSelection(selection)}" for array of length ${inputArray.length}`);
+            node.status({ fill: "red", shape: "ring", text: "Invalid selection" });
+            return done?.();
+          }
+
+          const outputs = [null];
+          let statusText = `Selected ${indices.length} from [${inputArray.length}]`;
+          if (node.remainder) {
+            // Built first: the remainder clone must not see the selection result
+            const rest = remainderOf(inputArray, [indices]);
+            outputs.push(rest.length > 0 ? buildOutputMsg(msg, rest, false, indices.length === 0) : null);
+            statusText += `, ${rest.length} rest`;
+          }
+          if (indices.length > 0) {
+            outputs[0] = buildOutputMsg(msg, formatResult(indices.map(idx => inputArray[idx])), true, true);
+          }
+
+          node.status({ fill: "green", shape: "dot", text: statusText });
+          send(outputs);
         }
 
         // Reset status after a delay
@@ -161,7 +483,7 @@ module.exports = function(RED) {
           node.status({ 
             fill: "blue", 
             shape: "dot", 
-            text: `Ready: ${node.selection}` 
+            text: `Ready: ${describeReady()}` 
           });
         }, 2000);
 
@@ -2,7 +2,18 @@
  * @file Node.js logic for the Queue node providing buffering and rate limiting.
  */
 
+const fs = require('fs');
+const path = require('path');
+
 module.exports = function (RED) {
+  const NodeUtils = require('../../lib/node-utils.js')(RED);
+  const CONTROL_COMMANDS = ['pause', 'resume', 'flush', 'clear', 'status', 'rate'];
+  const OVERFLOW_POLICIES = ['drop-newest', 'drop-oldest', 'coalesce'];
+  const JOURNAL_DIR = 'rp-queue';
+  const JOURNAL_COMPACT_THRESHOLD = 1000;
+  const METRICS_MAX_SAMPLES = 10000;
+  const BYTES_PER_MB = 1024 * 1024;
+
   function QueueNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
@@ -11,11 +22,27 @@ module.exports = function (RED) {
        ░░ 1.  Read configuration ░░
        ──────────────────────────── */
     const parsedMax = parseInt(config.maxQueueSize, 10);
+    const parsedMaxMemory = parseFloat(config.maxQueueMemory);
     const parsedInterval = parseInt(config.intervalMilliseconds, 10);
     const parsedTimeout = parseInt(config.timeout, 10);
     const parsedMode = config.mode;
+    const parsedPolicy = config.overflowPolicy;
+    const parsedRate = parseFloat(config.rate);
+    const parsedBurst = parseInt(config.burst, 10);
+    const parsedKeyCapacity = parseInt(config.perKeyCapacity, 10);
+    const parsedMetricsInterval = parseInt(config.metricsInterval, 10);
+    const parsedLevels = parseInt(config.priorityLevels, 10);
+    const parsedAging = parseInt(config.priorityAging, 10);
+    const parsedInFlight = parseInt(config.maxInFlight, 10);
+    const parsedAckTimeout = parseInt(config.ackTimeout, 10);
 
     node.maxQueueSize = Number.isInteger(parsedMax) && parsedMax > 0 ? parsedMax : 0;
+    // Memory limit on the estimated bytes held, configured in MB; applies in
+    // every mode, 0 disables it
+    node.maxQueueBytes =
+      Number.isFinite(parsedMaxMemory) && parsedMaxMemory > 0
+        ? Math.round(parsedMaxMemory * BYTES_PER_MB)
+        : 0;
     node.intervalMs =
       Number.isInteger(parsedInterval) && parsedInterval > 0 ? parsedInterval : 0;
     node.timeoutMs =
@@ -26,8 +53,64 @@ module.exports = function (RED) {
         ? parsedMode
         : 'legacy';
 
+    // Token bucket: `rate` tokens per second refill a bucket holding at most
+    // `burst`; each release takes one token
+    node.rateMode = config.rateMode === 'token-bucket' ? 'token-bucket' : 'interval';
+    node.rate = Number.isFinite(parsedRate) && parsedRate > 0 ? parsedRate : 1;
+    node.burst = Number.isInteger(parsedBurst) && parsedBurst > 0 ? parsedBurst : 1;
+
+    // What gives way when the queue is full: the newest or the oldest message;
+    // coalesce also replaces any queued message that has the same key
+    node.overflowPolicy = OVERFLOW_POLICIES.includes(parsedPolicy) ? parsedPolicy : 'drop-newest';
+    node.coalesceKey = config.coalesceKey || 'topic';
+
+    // Fair mode: one logical sub-queue per key, served round-robin so one
+    // chatty source cannot starve the others
+    node.fair = config.fair || false;
+    node.fairKey = config.fairKey || 'topic';
+    node.perKeyCapacity =
+      Number.isInteger(parsedKeyCapacity) && parsedKeyCapacity > 0 ? parsedKeyCapacity : 0;
+
+    // Priority lanes: 1 level means plain FIFO. Priorities are integers in
+    // [0, levels - 1], higher released first; aging raises an entry one level
+    // per `priorityAgingMs` waited, so low-priority entries are not starved.
+    node.priorityLevels =
+      Number.isInteger(parsedLevels) && parsedLevels > 1 ? parsedLevels : 1;
+    node.priorityProperty = config.priorityProperty || 'priority';
+    node.priorityAgingMs =
+      Number.isInteger(parsedAging) && parsedAging > 0 ? parsedAging : 0;
+
+    // Ack mode: released messages carry msg.meta.queueToken; feeding a message
+    // with that token back to the input acknowledges it and frees its slot.
+    // At most `maxInFlight` released messages may await an ack at once.
+    node.ackMode = config.ackMode || false;
+    node.maxInFlight =
+      Number.isInteger(parsedInFlight) && parsedInFlight > 0 ? parsedInFlight : 1;
+    node.ackTimeoutMs =
+      Number.isInteger(parsedAckTimeout) && parsedAckTimeout >= 0 ? parsedAckTimeout : 10000;
+    node.requeueOnTimeout = config.requeueOnTimeout || false;
+
+    // Metrics: emitted on output 3 every `metricsIntervalMs`; 0 disables them
+    node.metricsIntervalMs =
+      Number.isInteger(parsedMetricsInterval) && parsedMetricsInterval > 0
+        ? parsedMetricsInterval
+        : 0;
+
+    // Scheduled release: msg.releaseAt (timestamp) or msg.delay (ms) holds a
+    // message until then; after that the normal pacing applies
+    node.scheduled = config.scheduled || false;
+
+    // Journal: one JSON line per enqueued ("add") or finished ("del") entry in
+    // the user directory, so queued messages survive restarts
+    node.journal = config.journal || false;
+    const journalPath = node.journal
+      ? path.join(RED.settings.userDir || process.cwd(), JOURNAL_DIR, `${node.id}.journal`)
+      : null;
+
     const useQueueLimit = node.mode !== 'timeout';
     const useTimeout = node.mode !== 'queue-size';
+    const usePriority = node.priorityLevels > 1;
+    const useMemoryLimit = node.maxQueueBytes > 0;
 
     /* ────────────────────────────
        ░░ 2.  Internal state      ░░
@@ -35,10 +118,41 @@ module.exports = function (RED) {
     const state = {
       queue: [],
       timer: null,
-      lastSent: 0
+      lastSent: 0,
+      paused: false,
+      inFlight: new Map(),
+      nextEntryId: 0,
+      journalGarbage: 0,
+      tokens: node.burst,
+      lastRefill: Date.now(),
+      keyOrder: [],
+      lastKey: undefined,
+      metricsTimer: null,
+      window: createMetricsWindow(Date.now()),
+      totals: { released: 0, dropped: {} }
     };
+    const useTokenBucket = node.rateMode === 'token-bucket';
+    const tokenPrefix = `${node.id}:`;
 
-    setStatusIdle();
+    let onFlowsStarted = null;
+    if (journalPath) {
+      replayJournal();
+      // Replayed entries are released (or expired) once every node is wired up
+      if (state.queue.length > 0) {
+        onFlowsStarted = () => scheduleNextSend();
+        RED.events.once('flows:started', onFlowsStarted);
+      }
+    }
+
+    if (state.queue.length > 0) {
+      setStatusQueued();
+    } else {
+      setStatusIdle();
+    }
+
+    if (node.metricsIntervalMs > 0) {
+      state.metricsTimer = setInterval(emitMetrics, node.metricsIntervalMs);
+    }
 
     /* ────────────────────────────
        ░░ 3.  Helper functions    ░░
@@ -48,11 +162,32 @@ module.exports = function (RED) {
     }
 
     function setStatusQueued() {
-      node.status({
-        fill: 'yellow',
-        shape: 'dot',
-        text: `Queued: ${state.queue.length}`
-      });
+      if (state.paused) {
+        node.status({
+          fill: 'yellow',
+          shape: 'ring',
+          text: `Paused: ${state.queue.length} queued`
+        });
+        return;
+      }
+      let text = `Queued: ${state.queue.length}`;
+      if (node.fair && state.queue.length > 0) {
+        const depths = [...keyDepths()].map(([key, depth]) => `${key || '-'} ${depth}`);
+        text += ` (${depths.slice(0, 3).join(', ')}${depths.length > 3 ? ', …' : ''})`;
+      }
+      if (node.scheduled) {
+        const held = heldCount(Date.now());
+        if (held > 0) {
+          text += `, ${held} held`;
+        }
+      }
+      if (useMemoryLimit) {
+        text += `, ${formatBytes(queuedBytes())}/${formatBytes(node.maxQueueBytes)}`;
+      }
+      if (node.ackMode) {
+        text += `, in flight ${state.inFlight.size}/${node.maxInFlight}`;
+      }
+      node.status({ fill: 'yellow', shape: 'dot', text });
     }
 
     function clearTimer() {
@@ -62,56 +197,632 @@ module.exports = function (RED) {
       }
     }
 
-    function pruneExpired() {
-      if (!useTimeout || node.timeoutMs <= 0 || state.queue.length === 0) {
-        return 0;
+    function serializeEntry(entry) {
+      return NodeUtils.stringifyWithBuffers({
+        op: 'add',
+        id: entry.id,
+        enqueuedAt: entry.enqueuedAt,
+        releaseAt: entry.releaseAt,
+        msg: entry.msg
+      }) + '\n';
+    }
+
+    function journalAdd(entry) {
+      if (!journalPath) {
+        return;
+      }
+      try {
+        fs.appendFileSync(journalPath, serializeEntry(entry));
+      } catch (err) {
+        node.warn(`Queue journal write failed, message not persisted: ${err.message}`);
+      }
+    }
+
+    function journalRemove(entry) {
+      if (!journalPath) {
+        return;
+      }
+      try {
+        fs.appendFileSync(journalPath, JSON.stringify({ op: 'del', id: entry.id }) + '\n');
+      } catch (err) {
+        node.warn(`Queue journal write failed: ${err.message}`);
+      }
+
+      // Both the add and the del record of a finished entry are now garbage
+      state.journalGarbage += 2;
+      const live = state.queue.length + state.inFlight.size;
+      if (state.journalGarbage > JOURNAL_COMPACT_THRESHOLD && state.journalGarbage > live) {
+        compactJournal();
+      }
+    }
+
+    // Rewrites the journal with only the live entries (queued and awaiting an ack)
+    function compactJournal() {
+      const tmpPath = `${journalPath}.tmp`;
+      const entries = state.queue.concat([...state.inFlight.values()].map(flight => flight.entry));
+      const lines = [];
+      for (const entry of entries) {
+        try {
+          lines.push(serializeEntry(entry));
+        } catch (err) {
+          node.warn(`Queue journal skipped a message that cannot be serialized: ${err.message}`);
+        }
+      }
+
+      try {
+        fs.writeFileSync(tmpPath, lines.join(''));
+        fs.renameSync(tmpPath, journalPath);
+        state.journalGarbage = 0;
+      } catch (err) {
+        node.warn(`Queue journal compaction failed: ${err.message}`);
+      }
+    }
+
+    // Restores entries that were added but never finished, keeping their original enqueuedAt
+    function replayJournal() {
+      let text = '';
+      try {
+        fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+        if (fs.existsSync(journalPath)) {
+          text = fs.readFileSync(journalPath, 'utf8');
+        }
+      } catch (err) {
+        node.warn(`Queue journal could not be read: ${err.message}`);
+        return;
+      }
+
+      const pending = new Map();
+      let unreadable = 0;
+      for (const line of text.split('\n')) {
+        if (!line) {
+          continue;
+        }
+        let record;
+        try {
+          record = NodeUtils.parseWithBuffers(line);
+        } catch (err) {
+          // A torn last line after a crash
+          unreadable++;
+          continue;
+        }
+        if (record.op === 'add') {
+          pending.set(record.id, record);
+        } else if (record.op === 'del') {
+          pending.delete(record.id);
+        }
+      }
+
+      const restored = [...pending.values()].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+      for (const record of restored) {
+        state.queue.push({
+          id: state.nextEntryId++,
+          msg: record.msg,
+          enqueuedAt: record.enqueuedAt,
+          releaseAt: record.releaseAt,
+          priority: readPriority(record.msg),
+          key: node.overflowPolicy === 'coalesce' ? readCoalesceKey(record.msg) : undefined,
+          fairKey: node.fair ? readFairKey(record.msg) : undefined,
+          bytes: useMemoryLimit ? estimateSize(record.msg) : 0
+        });
+      }
+
+      if (unreadable > 0) {
+        node.warn(`Queue journal skipped ${unreadable} unreadable record(s).`);
+      }
+      if (restored.length > 0) {
+        node.log(`Queue journal restored ${restored.length} message(s).`);
+      }
+
+      // Entries were renumbered, so start a fresh journal
+      compactJournal();
+    }
+
+    function createMetricsWindow(now) {
+      return { startedAt: now, released: 0, dropped: {}, waits: [], waitsSeen: 0 };
+    }
+
+    // Wait samples are capped; past the cap a reservoir keeps a uniform sample
+    function recordWait(wait) {
+      const window = state.window;
+      window.waitsSeen++;
+      if (window.waits.length < METRICS_MAX_SAMPLES) {
+        window.waits.push(wait);
+        return;
+      }
+      const slot = Math.floor(Math.random() * window.waitsSeen);
+      if (slot < METRICS_MAX_SAMPLES) {
+        window.waits[slot] = wait;
+      }
+    }
+
+    function recordDrop(reason) {
+      state.window.dropped[reason] = (state.window.dropped[reason] || 0) + 1;
+      state.totals.dropped[reason] = (state.totals.dropped[reason] || 0) + 1;
+    }
+
+    function percentile(sorted, p) {
+      if (sorted.length === 0) {
+        return null;
       }
+      const rank = Math.ceil((p / 100) * sorted.length) - 1;
+      return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+    }
 
+    // Publishes the statistics of the window since the previous emit, then starts a new one
+    function emitMetrics() {
       const now = Date.now();
-      const expiredEntries = [];
+      const window = state.window;
+      const elapsedMs = Math.max(now - window.startedAt, 1);
+      const waits = window.waits.slice().sort((a, b) => a - b);
+      const waitSum = waits.reduce((sum, wait) => sum + wait, 0);
 
-      while (state.queue.length > 0) {
-        const oldest = state.queue[0];
-        if (now - oldest.enqueuedAt >= node.timeoutMs) {
-          expiredEntries.push(state.queue.shift());
-        } else {
+      const payload = {
+        ...buildSnapshot(),
+        windowMs: elapsedMs,
+        released: window.released,
+        throughput: Math.round((window.released / elapsedMs) * 1000 * 100) / 100,
+        dropped: { ...window.dropped },
+        wait: {
+          count: window.waitsSeen,
+          mean: waits.length > 0 ? Math.round(waitSum / waits.length) : null,
+          p50: percentile(waits, 50),
+          p90: percentile(waits, 90),
+          p99: percentile(waits, 99),
+          max: waits.length > 0 ? waits[waits.length - 1] : null
+        },
+        totals: {
+          released: state.totals.released,
+          dropped: { ...state.totals.dropped }
+        }
+      };
+
+      state.window = createMetricsWindow(now);
+      node.send([null, null, { topic: 'metrics', payload }]);
+    }
+
+    function sendDropped(msg, reason, details) {
+      recordDrop(reason);
+      msg.meta = msg.meta || {};
+      msg.meta.queueDropped = true;
+      msg.meta.queueDropReason = reason;
+      Object.assign(msg.meta, details);
+      node.send([null, msg]);
+    }
+
+    // Rough payload size: binary data by byte length, strings by length. Only
+    // plain objects and arrays are walked, so sockets or requests are not counted.
+    function estimateSize(value, seen = new Set()) {
+      if (typeof value === 'string') {
+        return value.length;
+      }
+      if (value === null || typeof value !== 'object' || seen.has(value)) {
+        return 0;
+      }
+      if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+        return value.byteLength;
+      }
+      const proto = Object.getPrototypeOf(value);
+      if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+        return 0;
+      }
+      seen.add(value);
+      let bytes = 0;
+      for (const key of Object.keys(value)) {
+        bytes += estimateSize(value[key], seen);
+      }
+      return bytes;
+    }
+
+    function queuedBytes() {
+      return state.queue.reduce((sum, entry) => sum + entry.bytes, 0);
+    }
+
+    function formatBytes(bytes) {
+      if (bytes >= BYTES_PER_MB) {
+        return `${(bytes / BYTES_PER_MB).toFixed(1)} MB`;
+      }
+      return `${Math.ceil(bytes / 1024)} KB`;
+    }
+
+    // Missing parents (e.g. meta.cameraId without msg.meta) read as undefined
+    function readProperty(msg, property) {
+      try {
+        return RED.util.getMessageProperty(msg, property);
+      } catch (err) {
+        return undefined;
+      }
+    }
+
+    function readPriority(msg) {
+      if (!usePriority) {
+        return 0;
+      }
+      const raw = Number(readProperty(msg, node.priorityProperty));
+      if (!Number.isFinite(raw)) {
+        return 0;
+      }
+      return Math.min(node.priorityLevels - 1, Math.max(0, Math.round(raw)));
+    }
+
+    function readCoalesceKey(msg) {
+      const value = readProperty(msg, node.coalesceKey);
+      return value === undefined || value === null ? undefined : String(value);
+    }
+
+    function effectivePriority(entry, now) {
+      if (node.priorityAgingMs <= 0) {
+        return entry.priority;
+      }
+      const boost = Math.floor((now - entry.enqueuedAt) / node.priorityAgingMs);
+      return Math.min(node.priorityLevels - 1, entry.priority + boost);
+    }
+
+    // Returns the release time for a future msg.releaseAt / msg.delay, undefined otherwise
+    function readReleaseAt(msg, now) {
+      let releaseAt;
+      if (msg.releaseAt !== undefined) {
+        const value = msg.releaseAt;
+        releaseAt =
+          value instanceof Date
+            ? value.getTime()
+            : typeof value === 'string' && !/^\s*\d+\s*$/.test(value)
+              ? Date.parse(value)
+              : Number(value);
+      } else if (msg.delay !== undefined) {
+        releaseAt = now + Number(msg.delay);
+      } else {
+        return undefined;
+      }
+
+      if (!Number.isFinite(releaseAt)) {
+        node.warn(
+          `Invalid queue release time (releaseAt ${msg.releaseAt}, delay ${msg.delay}). Message not held.`
+        );
+        return undefined;
+      }
+      return releaseAt > now ? releaseAt : undefined;
+    }
+
+    function isDue(entry, now) {
+      return entry.releaseAt === undefined || entry.releaseAt <= now;
+    }
+
+    function heldCount(now) {
+      return state.queue.filter(entry => !isDue(entry, now)).length;
+    }
+
+    // Earliest time a held entry becomes due, or undefined when none is held
+    function nextReleaseAt(now) {
+      let earliest;
+      for (const entry of state.queue) {
+        if (!isDue(entry, now) && (earliest === undefined || entry.releaseAt < earliest)) {
+          earliest = entry.releaseAt;
+        }
+      }
+      return earliest;
+    }
+
+    // Held entries only start to age once due, so a delay does not eat into the timeout
+    function expiresAt(entry) {
+      return Math.max(entry.enqueuedAt, entry.releaseAt ?? 0) + node.timeoutMs;
+    }
+
+    function readFairKey(msg) {
+      const value = readProperty(msg, node.fairKey);
+      return value === undefined || value === null ? '' : String(value);
+    }
+
+    function keyDepths() {
+      const depths = new Map();
+      for (const entry of state.queue) {
+        depths.set(entry.fairKey, (depths.get(entry.fairKey) || 0) + 1);
+      }
+      return depths;
+    }
+
+    function deepestKey() {
+      let deepest;
+      let deepestDepth = 0;
+      for (const [key, depth] of keyDepths()) {
+        if (depth > deepestDepth) {
+          deepest = key;
+          deepestDepth = depth;
+        }
+      }
+      return deepest;
+    }
+
+    // The queue is kept in arrival order, so on equal priority the first match is the oldest.
+    // Priority wins across keys; in fair mode keys holding the top priority take turns.
+    // Returns -1 when every queued entry is still held; `includeHeld` ignores schedules (flush)
+    function nextEntryIndex(now, includeHeld = false) {
+      const isReady = entry => includeHeld || isDue(entry, now);
+
+      if (!usePriority && !node.fair) {
+        return state.queue.findIndex(isReady);
+      }
+
+      let topPriority = 0;
+      if (usePriority) {
+        for (const entry of state.queue) {
+          if (isReady(entry)) {
+            topPriority = Math.max(topPriority, effectivePriority(entry, now));
+          }
+        }
+      }
+      const isCandidate = entry =>
+        isReady(entry) && (!usePriority || effectivePriority(entry, now) === topPriority);
+
+      if (!node.fair) {
+        return state.queue.findIndex(isCandidate);
+      }
+
+      const present = new Set();
+      const firstByKey = new Map();
+      state.queue.forEach((entry, i) => {
+        present.add(entry.fairKey);
+        if (!firstByKey.has(entry.fairKey) && isCandidate(entry)) {
+          firstByKey.set(entry.fairKey, i);
+        }
+      });
+
+      // Rotation order: keys in order of first arrival
+      for (const key of firstByKey.keys()) {
+        if (!state.keyOrder.includes(key)) {
+          state.keyOrder.push(key);
+        }
+      }
+
+      let chosenIndex = -1;
+      const start = state.keyOrder.indexOf(state.lastKey);
+      for (let step = 1; step <= state.keyOrder.length; step++) {
+        const key = state.keyOrder[(start + step) % state.keyOrder.length];
+        if (firstByKey.has(key)) {
+          state.lastKey = key;
+          chosenIndex = firstByKey.get(key);
           break;
         }
       }
 
+      // Forget keys whose sub-queue emptied; done after choosing so the last
+      // served key keeps its place in the rotation
+      state.keyOrder = state.keyOrder.filter(key => present.has(key));
+      return chosenIndex;
+    }
+
+    // Lowest effective priority, oldest first; optionally only among one key's entries
+    function evictionIndex(now, fairKey) {
+      let victimIndex = -1;
+      let victimPriority = Number.POSITIVE_INFINITY;
+      for (let i = 0; i < state.queue.length; i++) {
+        if (fairKey !== undefined && state.queue[i].fairKey !== fairKey) {
+          continue;
+        }
+        const priority = effectivePriority(state.queue[i], now);
+        if (priority < victimPriority) {
+          victimIndex = i;
+          victimPriority = priority;
+        }
+      }
+      return victimIndex;
+    }
+
+    // Applies the overflow policy when a limit is hit: either a queued entry
+    // (optionally of one key) is evicted, or the arrival itself is dropped.
+    // Returns whether the arrival may be queued.
+    function makeRoom(msg, priority, now, victimKey, label, details) {
+      // drop-oldest makes room unless the arrival ranks below everything queued;
+      // otherwise only a higher-priority arrival evicts the lowest-priority, oldest entry
+      const victimIndex = evictionIndex(now, victimKey);
+      const victimPriority =
+        victimIndex >= 0 ? effectivePriority(state.queue[victimIndex], now) : 0;
+      const evict =
+        victimIndex >= 0 &&
+        (node.overflowPolicy === 'drop-oldest'
+          ? victimPriority <= priority
+          : victimPriority < priority);
+      const limit =
+        details.queueKeyMaxSize ?? details.queueMaxSize ?? formatBytes(details.queueMaxBytes);
+
+      if (evict) {
+        const [victim] = state.queue.splice(victimIndex, 1);
+        journalRemove(victim);
+        node.warn(
+          usePriority
+            ? `${label} at capacity (${limit}). Evicted a priority ${victimPriority} message for a priority ${priority} message.`
+            : `${label} at capacity (${limit}). Oldest message dropped.`
+        );
+        const victimDetails = {
+          ...details,
+          queueOverflowPolicy: node.overflowPolicy,
+          queuedDuration: now - victim.enqueuedAt
+        };
+        if (usePriority) {
+          victimDetails.queuePriority = victimPriority;
+        }
+        sendDropped(victim.msg, 'overflow', victimDetails);
+        return true;
+      }
+
+      node.warn(`${label} at capacity (${limit}). Incoming message dropped.`);
+      // Send overflow message to output 2 with metadata
+      const droppedDetails = { ...details, queueOverflowPolicy: node.overflowPolicy };
+      if (usePriority) {
+        droppedDetails.queuePriority = priority;
+      }
+      sendDropped(msg, 'overflow', droppedDetails);
+      return false;
+    }
+
+    // Keeps the queue in arrival order so the oldest entry stays at the front
+    function requeueEntry(entry) {
+      let index = state.queue.findIndex(queued => queued.enqueuedAt > entry.enqueuedAt);
+      if (index < 0) {
+        index = state.queue.length;
+      }
+      state.queue.splice(index, 0, entry);
+    }
+
+    // In ack mode, sends a shallow copy with its own meta and tracks the entry
+    // until it is acknowledged. The entry keeps its untouched message, so a retry
+    // or a late ack never sees a token rewritten on an object already sent, and
+    // large payloads are shared rather than copied on every release.
+    function releaseEntry(entry) {
+      const wait = Date.now() - entry.enqueuedAt;
+      recordWait(wait);
+      state.window.released++;
+      state.totals.released++;
+
+      if (!node.ackMode) {
+        entry.msg.meta = entry.msg.meta || {};
+        entry.msg.meta.queueWait = wait;
+        journalRemove(entry);
+        return entry.msg;
+      }
+
+      const token = tokenPrefix + RED.util.generateId();
+      entry.attempts = (entry.attempts || 0) + 1;
+
+      const msg = {
+        ...entry.msg,
+        meta: {
+          ...entry.msg.meta,
+          queueWait: wait,
+          queueToken: token,
+          queueAttempts: entry.attempts
+        }
+      };
+
+      const flight = { entry, timer: null };
+      if (node.ackTimeoutMs > 0) {
+        flight.timer = setTimeout(() => handleAckTimeout(token), node.ackTimeoutMs);
+      }
+      state.inFlight.set(token, flight);
+      return msg;
+    }
+
+    function isAck(msg) {
+      const token = msg.meta?.queueToken;
+      return node.ackMode && typeof token === 'string' && token.startsWith(tokenPrefix);
+    }
+
+    function handleAck(msg) {
+      const token = msg.meta.queueToken;
+      const flight = state.inFlight.get(token);
+      // Unknown token: late ack after a timeout, or acknowledged twice
+      if (!flight) {
+        return;
+      }
+      clearTimeout(flight.timer);
+      state.inFlight.delete(token);
+      journalRemove(flight.entry);
+      scheduleNextSend();
+    }
+
+    function handleAckTimeout(token) {
+      const flight = state.inFlight.get(token);
+      if (!flight) {
+        return;
+      }
+      state.inFlight.delete(token);
+
+      const entry = flight.entry;
+      if (node.requeueOnTimeout) {
+        node.warn(
+          `Queue node ack timeout after ${node.ackTimeoutMs} ms. Message re-queued (attempt ${entry.attempts}).`
+        );
+        requeueEntry(entry);
+      } else {
+        node.warn(`Queue node ack timeout after ${node.ackTimeoutMs} ms. Message dropped.`);
+        journalRemove(entry);
+        sendDropped(entry.msg, 'ack-timeout', {
+          queueAckTimeout: node.ackTimeoutMs,
+          queueAttempts: entry.attempts
+        });
+      }
+      scheduleNextSend();
+    }
+
+    function pruneExpired() {
+      if (!useTimeout || node.timeoutMs <= 0 || state.queue.length === 0) {
+        return 0;
+      }
+
+      const now = Date.now();
+      const expiredEntries = state.queue.filter(entry => now >= expiresAt(entry));
+
       if (expiredEntries.length > 0) {
+        state.queue = state.queue.filter(entry => now < expiresAt(entry));
         node.warn(`Queue node dropped ${expiredEntries.length} message(s) due to timeout.`);
         // Send expired messages to output 2 with metadata
         for (const entry of expiredEntries) {
-          const droppedMsg = entry.msg;
-          droppedMsg.meta = droppedMsg.meta || {};
-          droppedMsg.meta.queueDropped = true;
-          droppedMsg.meta.queueDropReason = 'timeout';
-          droppedMsg.meta.queuedDuration = now - entry.enqueuedAt;
-          droppedMsg.meta.queueTimeout = node.timeoutMs;
-          node.send([null, droppedMsg]);
+          journalRemove(entry);
+          sendDropped(entry.msg, 'timeout', {
+            queuedDuration: now - entry.enqueuedAt,
+            queueTimeout: node.timeoutMs
+          });
         }
       }
 
       return expiredEntries.length;
     }
 
+    // While paused or out of ack slots nothing is released, but queued entries
+    // still expire on time
+    function scheduleExpiryCheck() {
+      if (!useTimeout || node.timeoutMs <= 0 || state.queue.length === 0) {
+        return;
+      }
+      const delay = Math.min(...state.queue.map(expiresAt)) - Date.now();
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        scheduleNextSend();
+      }, Math.max(delay, 0));
+    }
+
+    function refillTokens(now) {
+      state.tokens = Math.min(
+        node.burst,
+        state.tokens + ((now - state.lastRefill) / 1000) * node.rate
+      );
+      state.lastRefill = now;
+    }
+
+    // Milliseconds until the pacing rule allows the next release
+    function releaseDelay(now) {
+      if (useTokenBucket) {
+        refillTokens(now);
+        return state.tokens >= 1 ? 0 : Math.ceil(((1 - state.tokens) / node.rate) * 1000);
+      }
+
+      const elapsed = state.lastSent ? now - state.lastSent : Number.POSITIVE_INFINITY;
+      if (node.intervalMs > 0 && Number.isFinite(elapsed) && elapsed < node.intervalMs) {
+        return node.intervalMs - elapsed;
+      }
+      return 0;
+    }
+
     function scheduleNextSend() {
       clearTimer();
 
       pruneExpired();
 
+      if (state.paused) {
+        scheduleExpiryCheck();
+        setStatusQueued();
+        return;
+      }
+
       if (state.queue.length === 0) {
         setStatusIdle();
         return;
       }
 
       const now = Date.now();
-      const elapsed = state.lastSent ? now - state.lastSent : Number.POSITIVE_INFINITY;
-      let delay = 0;
-
-      if (node.intervalMs > 0 && Number.isFinite(elapsed) && elapsed < node.intervalMs) {
-        delay = node.intervalMs - elapsed;
+      let delay = releaseDelay(now);
+      // Everything still held: wake when the first entry becomes due
+      if (node.scheduled && nextEntryIndex(now) < 0) {
+        delay = Math.max(delay, nextReleaseAt(now) - now);
       }
 
       const sendFn = () => {
@@ -127,63 +838,324 @@ module.exports = function (RED) {
     function attemptSend() {
       pruneExpired();
 
+      if (state.paused) {
+        scheduleNextSend();
+        return;
+      }
+
       if (state.queue.length === 0) {
         setStatusIdle();
         return;
       }
 
+      // Every slot is awaiting an ack; the next ack or ack timeout reschedules,
+      // meanwhile queued entries still expire on time
+      if (node.ackMode && state.inFlight.size >= node.maxInFlight) {
+        clearTimer();
+        scheduleExpiryCheck();
+        setStatusQueued();
+        return;
+      }
+
       const now = Date.now();
-      const elapsed = state.lastSent ? now - state.lastSent : Number.POSITIVE_INFINITY;
 
-      if (node.intervalMs > 0 && Number.isFinite(elapsed) && elapsed < node.intervalMs) {
+      if (releaseDelay(now) > 0) {
         scheduleNextSend();
         return;
       }
 
-      const entry = state.queue.shift();
-      if (!entry) {
+      const index = nextEntryIndex(now);
+      if (index < 0) {
         scheduleNextSend();
         return;
       }
+      const [entry] = state.queue.splice(index, 1);
 
       state.lastSent = now;
+      if (useTokenBucket) {
+        state.tokens -= 1;
+      }
       node.status({
         fill: 'green',
         shape: 'dot',
         text: `Sending (remaining ${state.queue.length})`
       });
 
-      node.send([entry.msg, null]);
+      node.send([releaseEntry(entry), null]);
+      scheduleNextSend();
+    }
+
+    // Releases every queued entry at once (in release order), ignoring the interval,
+    // pause and in-flight limit. In ack mode flushed messages are still tracked.
+    function flushQueue() {
+      clearTimer();
+      pruneExpired();
+
+      const now = Date.now();
+      const released = [];
+      while (state.queue.length > 0) {
+        const [entry] = state.queue.splice(nextEntryIndex(now, true), 1);
+        released.push(releaseEntry(entry));
+      }
+
+      if (released.length > 0) {
+        state.lastSent = now;
+        node.send([released, null, null]);
+      }
+      scheduleNextSend();
+      return released.length;
+    }
+
+    function clearQueue() {
+      clearTimer();
+
+      const now = Date.now();
+      const cleared = state.queue.splice(0);
+      for (const entry of cleared) {
+        journalRemove(entry);
+        sendDropped(entry.msg, 'cleared', {
+          queuedDuration: now - entry.enqueuedAt
+        });
+      }
+      scheduleNextSend();
+      return cleared.length;
+    }
+
+    // msg.rate is in messages per second; in interval mode it sets the interval to 1000 / rate
+    function applyRate(msg) {
+      const rate = msg.rate === undefined ? undefined : Number(msg.rate);
+      const burst = msg.burst === undefined ? undefined : Number(msg.burst);
+
+      if (
+        (rate !== undefined && !(Number.isFinite(rate) && rate > 0)) ||
+        (burst !== undefined && !(Number.isInteger(burst) && burst > 0))
+      ) {
+        node.warn(
+          `Invalid queue rate control: rate must be > 0 and burst a positive integer (got rate ${msg.rate}, burst ${msg.burst}).`
+        );
+        return;
+      }
+
+      if (useTokenBucket) {
+        // Settle the bucket at the old rate before switching
+        refillTokens(Date.now());
+        if (rate !== undefined) {
+          node.rate = rate;
+        }
+        if (burst !== undefined) {
+          node.burst = burst;
+          state.tokens = Math.min(state.tokens, burst);
+        }
+      } else if (rate !== undefined) {
+        node.intervalMs = Math.round(1000 / rate);
+      }
       scheduleNextSend();
     }
 
+    function buildSnapshot() {
+      const now = Date.now();
+      const snapshot = {
+        depth: state.queue.length,
+        oldestAge: state.queue.length > 0 ? now - state.queue[0].enqueuedAt : null,
+        paused: state.paused,
+        maxQueueSize: useQueueLimit ? node.maxQueueSize : 0,
+        timestamp: now
+      };
+      if (node.scheduled) {
+        snapshot.held = heldCount(now);
+      }
+      if (useMemoryLimit) {
+        snapshot.bytes = queuedBytes();
+        snapshot.maxQueueBytes = node.maxQueueBytes;
+      }
+      if (useTokenBucket) {
+        refillTokens(now);
+        snapshot.rate = node.rate;
+        snapshot.burst = node.burst;
+        snapshot.tokens = Math.floor(state.tokens * 100) / 100;
+      } else {
+        snapshot.intervalMs = node.intervalMs;
+      }
+      if (node.ackMode) {
+        snapshot.inFlight = state.inFlight.size;
+        snapshot.maxInFlight = node.maxInFlight;
+      }
+      if (node.fair) {
+        snapshot.depthByKey = Object.fromEntries(keyDepths());
+      }
+      if (usePriority) {
+        snapshot.depthByPriority = new Array(node.priorityLevels).fill(0);
+        for (const entry of state.queue) {
+          snapshot.depthByPriority[entry.priority]++;
+        }
+      }
+      return snapshot;
+    }
+
+    // Control messages are consumed, never queued. Status replies go to output 3.
+    function handleControl(msg) {
+      const command = String(msg.control).trim().toLowerCase();
+
+      switch (command) {
+        case 'pause':
+          state.paused = true;
+          scheduleNextSend();
+          break;
+        case 'resume':
+          state.paused = false;
+          scheduleNextSend();
+          break;
+        case 'flush':
+          flushQueue();
+          break;
+        case 'clear':
+          clearQueue();
+          break;
+        case 'status':
+          msg.payload = buildSnapshot();
+          node.send([null, null, msg]);
+          break;
+        case 'rate':
+          applyRate(msg);
+          break;
+        default:
+          node.warn(
+            `Unknown queue control "${msg.control}". Expected one of: ${CONTROL_COMMANDS.join(', ')}.`
+          );
+      }
+    }
+
     /* ────────────────────────────
        ░░ 4.  Input handler       ░░
        ──────────────────────────── */
     node.on('input', function (msg, _send, done) {
       try {
+        if (msg.control !== undefined) {
+          handleControl(msg);
+          return done?.();
+        }
+
+        if (isAck(msg)) {
+          handleAck(msg);
+          return done?.();
+        }
+
         pruneExpired();
 
+        const now = Date.now();
+        const priority = readPriority(msg);
+        const key = node.overflowPolicy === 'coalesce' ? readCoalesceKey(msg) : undefined;
+
+        // Coalesce: the newest message for a key takes over that key's queued slot
+        const coalesceIndex =
+          key !== undefined ? state.queue.findIndex(queued => queued.key === key) : -1;
+        if (coalesceIndex >= 0) {
+          const replaced = state.queue[coalesceIndex];
+          const entry = {
+            id: state.nextEntryId++,
+            msg,
+            enqueuedAt: replaced.enqueuedAt,
+            priority,
+            key,
+            fairKey: node.fair ? readFairKey(msg) : undefined,
+            bytes: useMemoryLimit ? estimateSize(msg) : 0,
+            releaseAt: node.scheduled ? readReleaseAt(msg, now) : undefined
+          };
+          state.queue[coalesceIndex] = entry;
+          journalAdd(entry);
+          journalRemove(replaced);
+          sendDropped(replaced.msg, 'coalesced', {
+            queueCoalesceKey: key,
+            queuedDuration: now - replaced.enqueuedAt
+          });
+          setStatusQueued();
+          attemptSend();
+          return done?.();
+        }
+
+        const fairKey = node.fair ? readFairKey(msg) : undefined;
+
+        if (node.fair && node.perKeyCapacity > 0) {
+          const keyDepth = state.queue.filter(queued => queued.fairKey === fairKey).length;
+          if (keyDepth >= node.perKeyCapacity) {
+            const admitted = makeRoom(msg, priority, now, fairKey, `Queue node key "${fairKey}"`, {
+              queueFairKey: fairKey,
+              queueKeySize: keyDepth,
+              queueKeyMaxSize: node.perKeyCapacity
+            });
+            if (!admitted) {
+              setStatusQueued();
+              return done?.();
+            }
+          }
+        }
+
         if (
           useQueueLimit &&
           node.maxQueueSize > 0 &&
           state.queue.length >= node.maxQueueSize
         ) {
+          // In fair mode the deepest key gives way, not the quiet ones
+          const admitted = makeRoom(
+            msg,
+            priority,
+            now,
+            node.fair ? deepestKey() : undefined,
+            'Queue node',
+            { queueSize: state.queue.length, queueMaxSize: node.maxQueueSize }
+          );
+          if (!admitted) {
+            setStatusQueued();
+            return done?.();
+          }
+        }
+
+        const bytes = useMemoryLimit ? estimateSize(msg) : 0;
+
+        if (useMemoryLimit && bytes > node.maxQueueBytes) {
           node.warn(
-            `Queue node at capacity (${node.maxQueueSize}). Incoming message dropped.`
+            `Queue node message of ${formatBytes(bytes)} exceeds the memory limit (${formatBytes(node.maxQueueBytes)}). Incoming message dropped.`
           );
-          // Send overflow message to output 2 with metadata
-          msg.meta = msg.meta || {};
-          msg.meta.queueDropped = true;
-          msg.meta.queueDropReason = 'overflow';
-          msg.meta.queueSize = state.queue.length;
-          msg.meta.queueMaxSize = node.maxQueueSize;
-          node.send([null, msg]);
+          sendDropped(msg, 'overflow', {
+            queueBytes: queuedBytes(),
+            queueMaxBytes: node.maxQueueBytes,
+            queueMessageBytes: bytes,
+            queueOverflowPolicy: node.overflowPolicy
+          });
           setStatusQueued();
           return done?.();
         }
 
-        state.queue.push({ msg, enqueuedAt: Date.now() });
+        // Evicts one entry at a time until the arrival fits, or drops the arrival
+        let heldBytes = useMemoryLimit ? queuedBytes() : 0;
+        while (useMemoryLimit && heldBytes + bytes > node.maxQueueBytes) {
+          const admitted = makeRoom(
+            msg,
+            priority,
+            now,
+            node.fair ? deepestKey() : undefined,
+            'Queue node memory',
+            { queueBytes: heldBytes, queueMaxBytes: node.maxQueueBytes, queueMessageBytes: bytes }
+          );
+          if (!admitted) {
+            setStatusQueued();
+            return done?.();
+          }
+          heldBytes = queuedBytes();
+        }
+
+        const entry = {
+          id: state.nextEntryId++,
+          msg,
+          enqueuedAt: now,
+          priority,
+          key,
+          fairKey,
+          bytes,
+          releaseAt: node.scheduled ? readReleaseAt(msg, now) : undefined
+        };
+        state.queue.push(entry);
+        journalAdd(entry);
         setStatusQueued();
         attemptSend();
         done?.();
@@ -196,10 +1168,25 @@ module.exports = function (RED) {
     /* ────────────────────────────
        ░░ 5.  Cleanup             ░░
        ──────────────────────────── */
-    node.on('close', function () {
+    // Without removal the journal is kept on disk and replayed by the next instance
+    node.on('close', function (removed, done) {
       clearTimer();
+      if (state.metricsTimer) {
+        clearInterval(state.metricsTimer);
+      }
+      if (onFlowsStarted) {
+        RED.events.removeListener('flows:started', onFlowsStarted);
+      }
+      for (const flight of state.inFlight.values()) {
+        clearTimeout(flight.timer);
+      }
+      state.inFlight.clear();
       state.queue.length = 0;
+      if (journalPath && removed) {
+        fs.rmSync(journalPath, { force: true });
+      }
       setStatusIdle();
+      done();
     });
   }
 
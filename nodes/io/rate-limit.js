@@ -4,6 +4,8 @@
  */
 
 module.exports = function (RED) {
+  const MODES = ['throttle', 'debounce', 'window'];
+
   function RateLimitNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
@@ -19,13 +21,46 @@ module.exports = function (RED) {
     node.windowSizeValue   = config.windowSizeValue !== undefined ? config.windowSizeValue : 5000;
     node.outputPath        = config.outputPath         || '';
     node.outputPathType    = config.outputPathType     || 'msg';
+    // With a key property every key (e.g. camera) is limited independently.
+    // Throttle can release the latest throttled message on the trailing edge;
+    // debounce passes a message only once its key has gone quiet.
+    node.keyProperty       = config.keyProperty        || '';
+    node.mode              = MODES.includes(config.mode) ? config.mode : 'throttle';
+    node.trailing          = config.trailing           || false;
+
+    // Window mode: at most `maxCount` passed messages per window of external time
+    const parsedMaxCount   = parseInt(config.maxCount, 10);
+    node.maxCount = Number.isInteger(parsedMaxCount) && parsedMaxCount > 0 ? parsedMaxCount : 10;
+
+    // Clock jumps: a timestamp more than `clockToleranceMs` behind the newest one,
+    // or ahead of it by that much more than the wall-clock time elapsed, resets
+    // the key's state (0: any step back beyond the interval or reorder window).
+    // Messages are held `reorderWindowMs` (wall clock) to be processed in
+    // timestamp order (0 disables).
+    const parsedTolerance  = parseInt(config.clockTolerance, 10);
+    const parsedReorder    = parseInt(config.reorderWindow, 10);
+    node.clockToleranceMs = Number.isInteger(parsedTolerance) && parsedTolerance > 0 ? parsedTolerance : 0;
+    node.reorderWindowMs  = Number.isInteger(parsedReorder) && parsedReorder > 0 ? parsedReorder : 0;
+
+    // Gap alert on output 3: a gap longer than `gapFactor` times the rolling
+    // average (0 disables)
+    const parsedGapFactor  = parseFloat(config.gapFactor);
+    node.gapFactor = Number.isFinite(parsedGapFactor) && parsedGapFactor > 0 ? parsedGapFactor : 0;
+
+    // Idle keys are forgotten after `keyTtlMs` of wall-clock silence, and the
+    // least recently seen key is dropped beyond `maxKeys`; 0 disables either
+    const parsedKeyTtl     = parseInt(config.keyTtl, 10);
+    const parsedMaxKeys    = parseInt(config.maxKeys, 10);
+    node.keyTtlMs = Number.isInteger(parsedKeyTtl) && parsedKeyTtl >= 0 ? parsedKeyTtl : 60000;
+    node.maxKeys  = Number.isInteger(parsedMaxKeys) && parsedMaxKeys >= 0 ? parsedMaxKeys : 1000;
 
     /* ────────────────────────────
        ░░ 2.  Internal state      ░░
        ──────────────────────────── */
+    // One timing state per key, in least recently seen order; without a key
+    // property every message shares the '' entry
     const state = {
-      lastTimestamp: null,
-      history: []
+      keys: new Map()
     };
 
     setStatusIdle();
@@ -37,13 +72,17 @@ module.exports = function (RED) {
       node.status({ fill: 'blue', shape: 'dot', text: 'Idle' });
     }
 
+    function keySuffix() {
+      return node.keyProperty ? ` [${state.keys.size} keys]` : '';
+    }
+
     function setStatusPass(timingData) {
       const avg = Math.round(timingData.avgTimeBetween);
       const tb = timingData.timeBetween === -1 ? 'first' : `${timingData.timeBetween}ms`;
       node.status({
         fill: 'green',
         shape: 'dot',
-        text: `Pass: ${tb} (avg ${avg}ms)`
+        text: `Pass: ${tb} (avg ${avg}ms)${keySuffix()}`
       });
     }
 
@@ -51,7 +90,31 @@ module.exports = function (RED) {
       node.status({
         fill: 'yellow',
         shape: 'dot',
-        text: `Throttled: ${timingData.timeBetween}ms < ${interval}ms`
+        text: `Throttled: ${timingData.timeBetween}ms < ${interval}ms${keySuffix()}`
+      });
+    }
+
+    function setStatusHeld(interval) {
+      node.status({
+        fill: 'yellow',
+        shape: 'ring',
+        text: `Debouncing: ${interval}ms${keySuffix()}`
+      });
+    }
+
+    function setStatusWindowFull(windowMs) {
+      node.status({
+        fill: 'yellow',
+        shape: 'dot',
+        text: `Throttled: ${node.maxCount} per ${windowMs}ms reached${keySuffix()}`
+      });
+    }
+
+    function setStatusOutOfOrder(timingData) {
+      node.status({
+        fill: 'yellow',
+        shape: 'ring',
+        text: `Out of order: ${timingData.timeBetween}ms${keySuffix()}`
       });
     }
 
@@ -66,29 +129,157 @@ module.exports = function (RED) {
       return ms;
     }
 
-    function pruneHistory(currentTs, windowMs) {
+    function readKey(msg) {
+      if (!node.keyProperty) return '';
+      let value;
+      try {
+        value = RED.util.getMessageProperty(msg, node.keyProperty);
+      } catch (err) {
+        // A missing intermediate object means no key
+        value = undefined;
+      }
+      return value === undefined || value === null ? '' : String(value);
+    }
+
+    // Without a key property the single shared state is never forgotten
+    function isIdle(keyState, now) {
+      return !!node.keyProperty && node.keyTtlMs > 0 && now - keyState.lastSeen > node.keyTtlMs;
+    }
+
+    // Returns the key's timing state, marking it as the most recently seen.
+    // An idle key starts over as if it had been evicted, its buffered and
+    // held messages going out first.
+    function touchKeyState(key, now, send) {
+      let keyState = state.keys.get(key);
+      state.keys.delete(key);
+      if (!keyState || isIdle(keyState, now)) {
+        if (keyState) {
+          drainBuffer(keyState, send, true);
+          releasePending(keyState, send);
+        }
+        keyState = {
+          lastTimestamp: null,
+          history: [],
+          passed: [],
+          latestTs: null,
+          newestTs: null,
+          newestAt: 0,
+          buffer: [],
+          bufferTimer: null
+        };
+      }
+      keyState.lastSeen = now;
+      state.keys.set(key, keyState);
+      return keyState;
+    }
+
+    // The map is ordered by last use, so idle and surplus keys sit at the front.
+    // A held message of an evicted key is released rather than lost.
+    function evictKeys(now, send) {
+      for (const [key, keyState] of state.keys) {
+        const idle = isIdle(keyState, now);
+        const surplus = node.maxKeys > 0 && state.keys.size > node.maxKeys;
+        if (!idle && !surplus) break;
+        drainBuffer(keyState, send, true);
+        releasePending(keyState, send);
+        state.keys.delete(key);
+      }
+    }
+
+    function clearPending(keyState) {
+      const pending = keyState.pending;
+      if (pending) {
+        clearTimeout(pending.timer);
+        keyState.pending = null;
+      }
+      return pending;
+    }
+
+    // Sends the held message on output 1; it counts as accepted at `acceptTs`
+    function releasePending(keyState, send) {
+      const pending = clearPending(keyState);
+      if (!pending) return;
+      keyState.lastTimestamp = pending.acceptTs;
+      send([pending.msg, null]);
+    }
+
+    // Holds `msg` until external time `dueTs`, replacing (and throttling) any held
+    // message. Should no newer message arrive to move external time past `dueTs`,
+    // a wall-clock timer for the same span releases it.
+    function holdPending(keyState, msg, currentTs, dueTs, acceptTs, send) {
+      const previous = clearPending(keyState);
+      if (previous) {
+        send([null, previous.msg]);
+      }
+      const pending = { msg: msg, dueTs: dueTs, acceptTs: acceptTs, timer: null };
+      pending.timer = setTimeout(function () {
+        releasePending(keyState, node.send.bind(node));
+        node.status({ fill: 'green', shape: 'dot', text: `Released held message${keySuffix()}` });
+      }, Math.max(dueTs - currentTs, 0));
+      keyState.pending = pending;
+    }
+
+    function pruneHistory(keyState, currentTs, windowMs) {
       const cutoff = currentTs - windowMs;
-      state.history = state.history.filter(function (ts) {
+      keyState.history = keyState.history.filter(function (ts) {
+        return ts > cutoff;
+      });
+      keyState.passed = keyState.passed.filter(function (ts) {
         return ts > cutoff;
       });
     }
 
-    function computeTimingData(currentTs) {
-      var timeBetween = state.lastTimestamp !== null
-        ? currentTs - state.lastTimestamp
-        : -1;
+    // Statistics of the gaps between consecutive history entries. Jitter is the
+    // mean absolute change from one gap to the next.
+    function computeGapStats(history) {
+      var stats = { avg: 0, stdDev: 0, min: 0, max: 0, jitter: 0 };
+      if (history.length < 2) return stats;
 
-      var avgTimeBetween = 0;
-      if (state.history.length > 1) {
-        var totalDuration = state.history[state.history.length - 1] - state.history[0];
-        avgTimeBetween = totalDuration / (state.history.length - 1);
+      var gaps = [];
+      for (var i = 1; i < history.length; i++) {
+        gaps.push(history[i] - history[i - 1]);
       }
+      stats.avg = (history[history.length - 1] - history[0]) / gaps.length;
+      stats.min = Math.min.apply(null, gaps);
+      stats.max = Math.max.apply(null, gaps);
 
-      return {
+      var variance = 0;
+      var jitter = 0;
+      gaps.forEach(function (gap, index) {
+        variance += (gap - stats.avg) * (gap - stats.avg);
+        if (index > 0) jitter += Math.abs(gap - gaps[index - 1]);
+      });
+      stats.stdDev = Math.sqrt(variance / gaps.length);
+      stats.jitter = gaps.length > 1 ? jitter / (gaps.length - 1) : 0;
+      return stats;
+    }
+
+    function computeTimingData(keyState, key, currentTs) {
+      var timeBetween = keyState.lastTimestamp !== null
+        ? currentTs - keyState.lastTimestamp
+        : -1;
+
+      var history = keyState.history;
+      var stats = computeGapStats(history);
+
+      var timingData = {
         timeBetween: timeBetween,
-        avgTimeBetween: Math.round(avgTimeBetween),
-        messageCount: state.history.length
+        avgTimeBetween: Math.round(stats.avg),
+        messageCount: history.length,
+        stdDevTimeBetween: Math.round(stats.stdDev * 10) / 10,
+        minTimeBetween: stats.min,
+        maxTimeBetween: stats.max,
+        jitter: Math.round(stats.jitter * 10) / 10,
+        fps: stats.avg > 0 ? Math.round((1000 / stats.avg) * 100) / 100 : 0
       };
+      if (node.mode === 'window') {
+        timingData.passedInWindow = keyState.passed.length;
+      }
+      if (node.keyProperty) {
+        timingData.key = key;
+        timingData.keyCount = state.keys.size;
+      }
+      return timingData;
     }
 
     function resolveConfigValue(type, value, msg) {
@@ -121,6 +312,194 @@ module.exports = function (RED) {
       }
     }
 
+    // Sends an alert on output 3 when the gap since the previous message is more
+    // than gapFactor times the rolling average of the gaps before it
+    function checkGap(keyState, item, previousTs, send) {
+      if (node.gapFactor <= 0 || previousTs === null) return;
+
+      var average = computeGapStats(keyState.history).avg;
+      var gap = item.ts - previousTs;
+      if (average <= 0 || gap <= node.gapFactor * average) return;
+
+      var alert = {
+        gap: gap,
+        avgTimeBetween: Math.round(average),
+        ratio: Math.round((gap / average) * 100) / 100,
+        gapFactor: node.gapFactor,
+        missedFrames: Math.max(Math.round(gap / average) - 1, 0),
+        from: previousTs,
+        to: item.ts
+      };
+      if (node.keyProperty) {
+        alert.key = item.key;
+      }
+      send([null, null, { topic: 'gap', payload: alert }]);
+    }
+
+    // Checks an arriving timestamp against the newest one seen for the key and
+    // returns whether the clock jumped; the newest timestamp follows the clock
+    function detectClockJump(keyState, key, currentTs, now, interval) {
+      var jumped = false;
+      if (keyState.newestTs !== null) {
+        var delta = currentTs - keyState.newestTs;
+        if (node.clockToleranceMs > 0) {
+          var drift = delta - (now - keyState.newestAt);
+          jumped = delta < -node.clockToleranceMs || drift > node.clockToleranceMs;
+        } else {
+          // Without a tolerance any step back beyond the interval (a device
+          // reboot, a counter wrap) is a jump; only a message late by less than
+          // that, or than the reorder window, is out of order
+          jumped = delta < -Math.max(interval, node.reorderWindowMs);
+        }
+        if (jumped) {
+          var forKey = node.keyProperty ? ` for key "${key}"` : '';
+          node.warn(`Clock jump of ${delta}ms detected${forKey}, timing state reset.`);
+        }
+      }
+      if (jumped || keyState.newestTs === null || currentTs > keyState.newestTs) {
+        keyState.newestTs = currentTs;
+        keyState.newestAt = now;
+      }
+      return jumped;
+    }
+
+    function resetKeyState(keyState, send) {
+      releasePending(keyState, send);
+      keyState.lastTimestamp = null;
+      keyState.latestTs = null;
+      keyState.history = [];
+      keyState.passed = [];
+    }
+
+    function flagMeta(msg, flag) {
+      msg.meta = msg.meta || {};
+      msg.meta[flag] = true;
+    }
+
+    // Keeps the history sorted so the window spans from its first to its last entry
+    function insertSorted(list, value) {
+      var index = list.length;
+      while (index > 0 && list[index - 1] > value) index--;
+      list.splice(index, 0, value);
+    }
+
+    // Holds the item in the key's buffer, sorted by timestamp (arrival order for ties)
+    function bufferItem(keyState, item) {
+      item.releaseAt = Date.now() + node.reorderWindowMs;
+      var index = keyState.buffer.length;
+      while (index > 0 && keyState.buffer[index - 1].ts > item.ts) index--;
+      keyState.buffer.splice(index, 0, item);
+      if (!keyState.bufferTimer) {
+        scheduleBuffer(keyState);
+      }
+    }
+
+    function scheduleBuffer(keyState) {
+      var earliest = Math.min.apply(null, keyState.buffer.map(function (item) {
+        return item.releaseAt;
+      }));
+      keyState.bufferTimer = setTimeout(function () {
+        keyState.bufferTimer = null;
+        try {
+          drainBuffer(keyState, node.send.bind(node), false);
+        } catch (err) {
+          setStatusError('Error');
+          node.error(err);
+        }
+      }, Math.max(earliest - Date.now(), 0));
+    }
+
+    // Processes every buffered item up to the newest timestamp among the items
+    // whose hold is over (or everything with `all`), in timestamp order
+    function drainBuffer(keyState, send, all) {
+      clearTimeout(keyState.bufferTimer);
+      keyState.bufferTimer = null;
+      if (keyState.buffer.length === 0) return;
+
+      var now = Date.now();
+      var upTo = -Infinity;
+      keyState.buffer.forEach(function (item) {
+        if (all || item.releaseAt <= now) upTo = Math.max(upTo, item.ts);
+      });
+      var ready = keyState.buffer.filter(function (item) { return item.ts <= upTo; });
+      keyState.buffer = keyState.buffer.filter(function (item) { return item.ts > upTo; });
+
+      ready.forEach(function (item) {
+        processItem(keyState, item, send);
+      });
+      if (keyState.buffer.length > 0) {
+        scheduleBuffer(keyState);
+      }
+    }
+
+    // Rate limit decision for one message of a key, in processing order
+    function processItem(keyState, item, send) {
+      var msg = item.msg;
+      var currentTs = item.ts;
+      var interval = item.interval;
+      var windowMs = item.windowMs;
+
+      // A reset starts the key over; a timestamp older than one already
+      // processed is late and never passes nor replaces a held message
+      if (item.clockReset) {
+        resetKeyState(keyState, send);
+        flagMeta(msg, 'clockReset');
+      }
+      var outOfOrder = keyState.latestTs !== null && currentTs < keyState.latestTs;
+      if (outOfOrder) {
+        flagMeta(msg, 'outOfOrder');
+      } else {
+        // Gaps are judged against the history before this message
+        checkGap(keyState, item, keyState.latestTs, send);
+        keyState.latestTs = currentTs;
+      }
+
+      // Update the rolling window history
+      insertSorted(keyState.history, currentTs);
+      pruneHistory(keyState, keyState.latestTs, windowMs);
+
+      // A held message whose time has come goes out before this one is judged
+      if (keyState.pending && currentTs >= keyState.pending.dueTs) {
+        releasePending(keyState, send);
+      }
+
+      // Compute timing data and attach it to the message (both outputs)
+      var timingData = computeTimingData(keyState, item.key, currentTs);
+      attachTimingData(msg, timingData);
+
+      if (outOfOrder) {
+        setStatusOutOfOrder(timingData);
+        send([null, msg]);
+      } else if (node.mode === 'debounce') {
+        // Passes only if nothing newer arrives within the interval
+        holdPending(keyState, msg, currentTs, currentTs + interval, currentTs, send);
+        setStatusHeld(interval);
+      } else if (node.mode === 'window') {
+        // Passes while fewer than maxCount messages passed within the window
+        if (keyState.passed.length < node.maxCount) {
+          keyState.passed.push(currentTs);
+          keyState.lastTimestamp = currentTs;
+          setStatusPass(timingData);
+          send([msg, null]);
+        } else {
+          setStatusWindowFull(windowMs);
+          send([null, msg]);
+        }
+      } else if (keyState.lastTimestamp === null || timingData.timeBetween >= interval) {
+        keyState.lastTimestamp = currentTs;
+        setStatusPass(timingData);
+        send([msg, null]);
+      } else if (node.trailing) {
+        // Released when the interval since the last accepted message is up
+        var dueTs = keyState.lastTimestamp + interval;
+        holdPending(keyState, msg, currentTs, dueTs, dueTs, send);
+        setStatusThrottled(timingData, interval);
+      } else {
+        setStatusThrottled(timingData, interval);
+        send([null, msg]);
+      }
+    }
+
     /* ────────────────────────────
        ░░ 4.  Input handler       ░░
        ──────────────────────────── */
@@ -151,24 +530,31 @@ module.exports = function (RED) {
           return done?.();
         }
 
-        // 4.4 Update rolling window history
-        state.history.push(currentTs);
-        pruneHistory(currentTs, windowMs);
+        // 4.4 Select the key's state
+        var key = readKey(msg);
+        var now = Date.now();
+        var keyState = touchKeyState(key, now, send);
+        evictKeys(now, send);
 
-        // 4.5 Compute timing data
-        var timingData = computeTimingData(currentTs);
-
-        // 4.6 Attach timing data to message (both outputs)
-        attachTimingData(msg, timingData);
+        // 4.5 Detect clock jumps on arrival; messages buffered before a jump
+        // belong to the old clock and are processed first
+        var item = {
+          msg: msg,
+          key: key,
+          ts: currentTs,
+          interval: interval,
+          windowMs: windowMs,
+          clockReset: detectClockJump(keyState, key, currentTs, now, interval)
+        };
+        if (item.clockReset) {
+          drainBuffer(keyState, send, true);
+        }
 
-        // 4.7 Rate limit decision
-        if (timingData.timeBetween === -1 || timingData.timeBetween >= interval) {
-          state.lastTimestamp = currentTs;
-          setStatusPass(timingData);
-          send([msg, null]);
+        // 4.6 Rate limit decision, now or after the reorder buffer
+        if (node.reorderWindowMs > 0) {
+          bufferItem(keyState, item);
         } else {
-          setStatusThrottled(timingData, interval);
-          send([null, msg]);
+          processItem(keyState, item, send);
         }
 
         done?.();
@@ -182,8 +568,11 @@ module.exports = function (RED) {
        ░░ 5.  Cleanup             ░░
        ──────────────────────────── */
     node.on('close', function () {
-      state.lastTimestamp = null;
-      state.history.length = 0;
+      for (const keyState of state.keys.values()) {
+        clearPending(keyState);
+        clearTimeout(keyState.bufferTimer);
+      }
+      state.keys.clear();
       setStatusIdle();
     });
   }